@@ -0,0 +1,58 @@
+// lib/adaptive.js
+import { LEVELS, levelOf, scoreAnswer } from "./questions.js";
+
+// Candidatas que se reservan por cada pregunta a servir (margen para elegir nivel)
+export const ADAPTIVE_RESERVE_FACTOR = Number(process.env.ADAPTIVE_RESERVE_FACTOR || 3);
+
+// ---------------------------------------------------------------------------
+// Modo adaptativo: el intento guarda las candidatas en `reserve` y se sirven de
+// una en una. Escalera simple sobre los niveles: tras un acierto se sube uno,
+// tras un fallo se baja uno y con crédito parcial se mantiene. Empieza en "media".
+// ---------------------------------------------------------------------------
+
+// Nivel que toca según la última pregunta servida y cómo se contestó
+export function targetLevel(attempt) {
+  const last = attempt.questions[attempt.questions.length - 1];
+  if (!last) return "media";
+  const ans = attempt.answers.find((a) => a.questionId === last.id);
+  const i = LEVELS.indexOf(levelOf(last));
+  if (!ans) return LEVELS[i];
+  const credit = scoreAnswer(last, ans);
+  const step = credit >= 0.75 ? 1 : credit < 0.5 ? -1 : 0;
+  return LEVELS[Math.min(LEVELS.length - 1, Math.max(0, i + step))];
+}
+
+// Pregunta que tiene que contestar ahora: la servida sin respuesta o una nueva
+// de la reserva (se mueve a `questions`; modifica el intento). null si ya no hay más.
+export function serveNext(attempt) {
+  const answered = new Set(attempt.answers.map((a) => a.questionId));
+  const pending = attempt.questions.find((q) => !answered.has(q.id));
+  if (pending) return pending;
+  if (attempt.questions.length >= attempt.numQuestions) return null;
+  if (!attempt.reserve?.length) {
+    // Sin candidatas: el test sale más corto, como en el modo normal
+    attempt.numQuestions = attempt.questions.length;
+    return null;
+  }
+
+  // Se respeta el reparto por fuente mientras queden candidatas de las que van cortas
+  const served = {};
+  for (const q of attempt.questions) served[q.source] = (served[q.source] || 0) + 1;
+  const open = attempt.reserve.filter((q) => (served[q.source] || 0) < (attempt.quota?.[q.source] ?? Infinity));
+  const candidates = open.length ? open : attempt.reserve;
+
+  // La reserva ya va barajada: la primera del nivel más cercano al objetivo
+  const target = LEVELS.indexOf(targetLevel(attempt));
+  let best = candidates[0];
+  let bestDistance = Infinity;
+  for (const q of candidates) {
+    const distance = Math.abs(LEVELS.indexOf(levelOf(q)) - target);
+    if (distance < bestDistance) {
+      best = q;
+      bestDistance = distance;
+    }
+  }
+  attempt.reserve = attempt.reserve.filter((q) => q !== best);
+  attempt.questions.push(best);
+  return best;
+}
@@ -0,0 +1,143 @@
+// lib/attempts.js
+import { createJsonFile } from "./store.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Un intento está abandonado si no se ha cerrado y lleva más de ttlMs sin actividad;
+// se borra del almacén y solo queda su entrada en el historial por DNI (history.json)
+function isExpired(attempt, ttlMs, now = Date.now()) {
+  if (!ttlMs || attempt.finishedAt) return false;
+  const last = Date.parse(attempt.updatedAt || attempt.startedAt || 0);
+  return now - last > ttlMs;
+}
+
+// ---------------------------------------------------------------------------
+// Almacén en memoria (por defecto): se pierde al reiniciar
+// ---------------------------------------------------------------------------
+export function createMemoryAttemptStore({ ttlMs = 0 } = {}) {
+  const attempts = new Map();
+
+  return {
+    kind: "memory",
+    async get(id) {
+      const attempt = attempts.get(id);
+      if (!attempt) return null;
+      if (isExpired(attempt, ttlMs)) {
+        attempts.delete(id);
+        return null;
+      }
+      return attempt;
+    },
+    async save(id, attempt) {
+      attempt.updatedAt = new Date().toISOString();
+      attempts.set(id, attempt);
+      return attempt;
+    },
+    async delete(id) {
+      return attempts.delete(id);
+    },
+    async list() {
+      return [...attempts.entries()].map(([id, a]) => ({ id, ...a }));
+    },
+    async sweep() {
+      let removed = 0;
+      for (const [id, a] of attempts) {
+        if (isExpired(a, ttlMs)) {
+          attempts.delete(id);
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Almacén en fichero JSON: sobrevive a reinicios y redeploys (con volumen)
+// ---------------------------------------------------------------------------
+export function createFileAttemptStore({ file = "attempts.json", ttlMs = 0 } = {}) {
+  const jsonFile = createJsonFile(file, {});
+  let attempts = null;
+
+  async function load() {
+    if (!attempts) attempts = new Map(Object.entries(await jsonFile.read()));
+    return attempts;
+  }
+  function persist() {
+    return jsonFile.save(Object.fromEntries(attempts));
+  }
+
+  return {
+    kind: "file",
+    path: jsonFile.path,
+    async get(id) {
+      const map = await load();
+      const attempt = map.get(id);
+      if (!attempt) return null;
+      if (isExpired(attempt, ttlMs)) {
+        map.delete(id);
+        await persist();
+        return null;
+      }
+      return attempt;
+    },
+    async save(id, attempt) {
+      const map = await load();
+      attempt.updatedAt = new Date().toISOString();
+      map.set(id, attempt);
+      await persist();
+      return attempt;
+    },
+    async delete(id) {
+      const map = await load();
+      const existed = map.delete(id);
+      if (existed) await persist();
+      return existed;
+    },
+    async list() {
+      const map = await load();
+      return [...map.entries()].map(([id, a]) => ({ id, ...a }));
+    },
+    async sweep() {
+      const map = await load();
+      let removed = 0;
+      for (const [id, a] of map) {
+        if (isExpired(a, ttlMs)) {
+          map.delete(id);
+          removed++;
+        }
+      }
+      if (removed) await persist();
+      return removed;
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// API pública: elige la implementación según el entorno
+//   ATTEMPT_STORE=memory|file · ATTEMPT_STORE_FILE · ATTEMPT_TTL_HOURS
+// ---------------------------------------------------------------------------
+export function createAttemptStore({
+  kind = process.env.ATTEMPT_STORE || "memory",
+  file = process.env.ATTEMPT_STORE_FILE || "attempts.json",
+  ttlHours = Number(process.env.ATTEMPT_TTL_HOURS || 24),
+} = {}) {
+  const ttlMs = ttlHours > 0 ? ttlHours * HOUR_MS : 0;
+  if (kind === "file") return createFileAttemptStore({ file, ttlMs });
+  if (kind !== "memory") {
+    console.warn(`[attempts] ATTEMPT_STORE desconocido (${kind}); usando memoria.`);
+  }
+  return createMemoryAttemptStore({ ttlMs });
+}
+
+// Barrido periódico de intentos abandonados (no bloquea el cierre del proceso)
+export function scheduleSweep(store, intervalMs = HOUR_MS) {
+  const timer = setInterval(() => {
+    store
+      .sweep()
+      .then((n) => n && console.log(`[attempts] ${n} intentos caducados eliminados`))
+      .catch((e) => console.error("[attempts] ERROR en barrido:", e));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,96 @@
+// lib/audit.js
+import fs from "fs/promises";
+import path from "path";
+import { DATA_DIR } from "./store.js";
+import { normalizeDni } from "./policy.js";
+import { dniRef, protectRecord } from "./privacy.js";
+
+// Registro de auditoría append-only (una línea JSON por evento). DNI y nombre se
+// guardan protegidos como en consola (PII_LOGS), con un seudónimo del DNI (dniRef)
+// para poder filtrar y borrar por DNI.
+const AUDIT_FILE = path.join(DATA_DIR, process.env.AUDIT_FILE || "audit.jsonl");
+
+// Escrituras en serie: un borrado RGPD no puede perder eventos añadidos mientras reescribe
+let queue = Promise.resolve();
+function serial(task) {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+// ¿El evento es de este DNI? (los anteriores a dniRef lo llevan en claro)
+const matchesDni = (entry, dni) =>
+  entry.dniRef ? entry.dniRef === dniRef(dni) : normalizeDni(entry.dni) === normalizeDni(dni);
+
+export async function logAudit(type, data = {}) {
+  const entry = { at: new Date().toISOString(), type, ...protectRecord(data, "logs") };
+  if (data.dni) entry.dniRef = dniRef(data.dni);
+  try {
+    await serial(async () => {
+      await fs.mkdir(path.dirname(AUDIT_FILE), { recursive: true });
+      await fs.appendFile(AUDIT_FILE, JSON.stringify(entry) + "\n");
+    });
+  } catch (e) {
+    // La auditoría nunca debe tumbar la petición que la origina
+    console.error("[audit] ERROR escribiendo:", e?.message || e);
+  }
+  return entry;
+}
+
+// Lee eventos (más recientes primero) con filtros opcionales
+export async function readAudit({ type, dni, since, limit = 200 } = {}) {
+  let raw = "";
+  try {
+    raw = await fs.readFile(AUDIT_FILE, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+  const out = [];
+  const lines = raw.split("\n").filter(Boolean);
+  for (let i = lines.length - 1; i >= 0 && out.length < limit; i--) {
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch {
+      continue;
+    }
+    if (type && entry.type !== type) continue;
+    if (dni && !matchesDni(entry, dni)) continue;
+    if (since && entry.at < since) continue;
+    out.push(entry);
+  }
+  return out;
+}
+
+// Borrado RGPD: reescribe el registro sin los eventos de un DNI; devuelve cuántos quita
+export function eraseAudit(dni) {
+  return serial(async () => {
+    let raw = "";
+    try {
+      raw = await fs.readFile(AUDIT_FILE, "utf8");
+    } catch (e) {
+      if (e.code === "ENOENT") return 0;
+      throw e;
+    }
+    let removed = 0;
+    const kept = raw
+      .split("\n")
+      .filter(Boolean)
+      .filter((line) => {
+        try {
+          if (!matchesDni(JSON.parse(line), dni)) return true;
+        } catch {
+          return true;
+        }
+        removed++;
+        return false;
+      });
+    if (removed) {
+      const tmp = `${AUDIT_FILE}.tmp`;
+      await fs.writeFile(tmp, kept.map((line) => line + "\n").join(""));
+      await fs.rename(tmp, AUDIT_FILE);
+    }
+    return removed;
+  });
+}
@@ -0,0 +1,164 @@
+// lib/auth.js
+import crypto from "crypto";
+import { resolveLanguage, t } from "./i18n.js";
+
+// ---------------------------------------------------------------------------
+// Autenticación por roles:
+//   admin     → todo (x-admin-token = ADMIN_TOKEN, clave de API o JWT con role=admin)
+//   hr        → revisión de preguntas, resultados, estadísticas e historial (solo lectura
+//               salvo la revisión de preguntas)
+//   candidate → su propio intento, con el token firmado que devuelve /api/start-test
+// Credenciales admitidas:
+//   - API_KEYS="clave1:admin,clave2:hr:nombre" → cabecera x-api-key o Authorization: Bearer <clave>
+//     (en auditoría consta el nombre o, sin él, una huella de la clave; nunca la clave)
+//   - JWT HS256 firmado con JWT_SECRET (claim `role` o `roles`; `iss` = JWT_ISSUER si se define)
+// ---------------------------------------------------------------------------
+export const ROLES = ["admin", "hr", "candidate"];
+
+const ADMIN_TOKEN = (process.env.ADMIN_TOKEN || "").trim();
+const API_KEYS = parseApiKeys(process.env.API_KEYS);
+const JWT_SECRET = (process.env.JWT_SECRET || "").trim();
+const JWT_ISSUER = (process.env.JWT_ISSUER || "").trim();
+// Horas de validez del token de intento (o hasta 1 h después del límite del test si es más tarde)
+const ATTEMPT_TOKEN_TTL_H = Number(process.env.ATTEMPT_TOKEN_TTL_H || 24);
+// Firma de los tokens de intento; sin secreto propio se deriva de JWT_SECRET o ADMIN_TOKEN
+// y, en último caso, se genera uno por arranque (los intentos abiertos no sobreviven a un reinicio)
+const ATTEMPT_TOKEN_SECRET = attemptSecret();
+
+function parseApiKeys(raw) {
+  const out = new Map();
+  for (const pair of String(raw || "").split(",")) {
+    const [key, role, name] = pair.split(":").map((s) => (s || "").trim());
+    if (!key) continue;
+    if (!ROLES.includes(role) || role === "candidate") {
+      console.warn(`[auth] rol inválido en API_KEYS (${role || "vacío"}); se ignora la clave`);
+      continue;
+    }
+    out.set(key, { role, label: `api-key:${name || keyFingerprint(key)}` });
+  }
+  return out;
+}
+
+// Huella corta e irreversible de una clave, para identificarla en logs y auditoría
+function keyFingerprint(key) {
+  return crypto.createHash("sha256").update(`api-key:${key}`).digest("hex").slice(0, 10);
+}
+
+function attemptSecret() {
+  const own = (process.env.ATTEMPT_TOKEN_SECRET || "").trim();
+  if (own) return own;
+  const base = JWT_SECRET || ADMIN_TOKEN;
+  if (base) return crypto.createHash("sha256").update(`attempt-token:${base}`).digest("hex");
+  console.warn("[auth] sin ATTEMPT_TOKEN_SECRET: los tokens de intento caducan al reiniciar");
+  return crypto.randomBytes(32).toString("hex");
+}
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+// ---------------------------------------------------------------------------
+// JWT HS256 (sin dependencias)
+// ---------------------------------------------------------------------------
+const b64url = (input) => Buffer.from(input).toString("base64url");
+const hs256 = (data, secret) => crypto.createHmac("sha256", secret).update(data).digest("base64url");
+
+export function signJwt(payload, secret) {
+  const head = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = b64url(JSON.stringify(payload));
+  return `${head}.${body}.${hs256(`${head}.${body}`, secret)}`;
+}
+
+// Payload si la firma y las fechas son válidas; null si no
+export function verifyJwt(token, secret, now = Date.now()) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3 || !secret) return null;
+  const [head, body, signature] = parts;
+  if (!safeEqual(signature, hs256(`${head}.${body}`, secret))) return null;
+  try {
+    const header = JSON.parse(Buffer.from(head, "base64url").toString("utf8"));
+    if (header.alg !== "HS256") return null;
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    const nowSec = Math.floor(now / 1000);
+    if (payload.exp !== undefined && nowSec >= Number(payload.exp)) return null;
+    if (payload.nbf !== undefined && nowSec < Number(payload.nbf)) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+function bearer(req) {
+  const m = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+  return m ? m[1].trim() : "";
+}
+
+// Quién llama: { role, sub, via } o null
+export function identify(req) {
+  const adminToken = req.get("x-admin-token");
+  if (adminToken && ADMIN_TOKEN && safeEqual(adminToken, ADMIN_TOKEN)) {
+    return { role: "admin", sub: "admin-token", via: "admin-token" };
+  }
+  const key = req.get("x-api-key") || bearer(req);
+  if (!key) return null;
+  for (const [k, { role, label }] of API_KEYS) {
+    if (safeEqual(key, k)) return { role, sub: label, via: "api-key" };
+  }
+  if (JWT_SECRET && key.split(".").length === 3) {
+    const payload = verifyJwt(key, JWT_SECRET);
+    if (!payload || (JWT_ISSUER && payload.iss !== JWT_ISSUER)) return null;
+    const claimed = Array.isArray(payload.roles) ? payload.roles : [payload.role];
+    const role = ROLES.find((r) => r !== "candidate" && claimed.includes(r));
+    return role ? { role, sub: payload.sub ?? null, via: "jwt" } : null;
+  }
+  return null;
+}
+
+const authConfigured = () => Boolean(ADMIN_TOKEN || API_KEYS.size || JWT_SECRET);
+
+// Middleware: deja pasar a los roles indicados (admin siempre)
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!authConfigured()) {
+      return res.status(503).json({ error: "Autenticación no configurada (ADMIN_TOKEN, API_KEYS o JWT_SECRET)" });
+    }
+    const who = identify(req);
+    if (!who) return res.status(401).json({ error: "No autorizado" });
+    if (who.role !== "admin" && !roles.includes(who.role)) {
+      return res.status(403).json({ error: "Permisos insuficientes" });
+    }
+    req.auth = who;
+    next();
+  };
+}
+
+// Rutas de configuración y operación
+export const requireAdmin = requireRole("admin");
+// Rutas de revisión y consulta que también puede usar RRHH
+export const requireHr = requireRole("hr");
+
+// ---------------------------------------------------------------------------
+// Token de intento: lo recibe el candidato al empezar y lo exigen /api/answer
+// y /api/finish, así conocer el attemptId no basta para contestar por otro
+// ---------------------------------------------------------------------------
+export function issueAttemptToken(attemptId, { deadlineAt = null, now = Date.now() } = {}) {
+  const ttlEnd = now + ATTEMPT_TOKEN_TTL_H * 3600 * 1000;
+  const deadlineEnd = deadlineAt ? Date.parse(deadlineAt) + 3600 * 1000 : 0;
+  const exp = Math.floor(Math.max(ttlEnd, deadlineEnd) / 1000);
+  const token = signJwt({ sub: attemptId, role: "candidate", iat: Math.floor(now / 1000), exp }, ATTEMPT_TOKEN_SECRET);
+  return { token, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+// Middleware: cabecera x-attempt-token, Authorization: Bearer o body.attemptToken
+export function requireAttemptToken(req, res, next) {
+  const token = req.get("x-attempt-token") || bearer(req) || req.body?.attemptToken || "";
+  const payload = verifyJwt(token, ATTEMPT_TOKEN_SECRET);
+  if (!payload || payload.role !== "candidate" || payload.sub !== req.body?.attemptId) {
+    const lang = resolveLanguage(req.body?.language) || "es";
+    return res.status(401).json({ error: t(lang, "invalid_attempt_token") });
+  }
+  req.auth = { role: "candidate", sub: payload.sub, via: "attempt-token" };
+  next();
+}
@@ -0,0 +1,33 @@
+// lib/cache.js
+import { createJsonFile } from "./store.js";
+
+// ---------------------------------------------------------------------------
+// Caché de texto extraído por URL (persistida en DATA_DIR/content-cache.json)
+// Cada entrada: { title, text, hash, etag, lastModified, checkedAt }
+// ---------------------------------------------------------------------------
+export function createContentCache({ file = "content-cache.json" } = {}) {
+  const jsonFile = createJsonFile(file, {});
+  let entries = null;
+
+  async function load() {
+    if (!entries) entries = await jsonFile.read();
+    return entries;
+  }
+
+  return {
+    async get(url) {
+      return (await load())[url] || null;
+    },
+    async set(url, entry) {
+      (await load())[url] = entry;
+      await jsonFile.save(entries);
+    },
+    async delete(url) {
+      const all = await load();
+      if (!all[url]) return false;
+      delete all[url];
+      await jsonFile.save(entries);
+      return true;
+    },
+  };
+}
@@ -0,0 +1,86 @@
+// lib/chunk.js
+import { pageForOffset } from "./citations.js";
+
+// Tamaño objetivo de cada fragmento enviado al generador (caracteres)
+const CHUNK_CHARS = Number(process.env.CHUNK_CHARS || 12000);
+
+// Corta [start, end) en trozos <= max por saltos de párrafo/línea (o a lo bruto)
+function splitRange(text, start, end, max) {
+  const out = [];
+  let s = start;
+  while (end - s > max) {
+    const window = text.slice(s, s + max);
+    let cut = window.lastIndexOf("\n\n");
+    if (cut < max * 0.5) cut = window.lastIndexOf("\n");
+    if (cut < max * 0.5) cut = window.lastIndexOf(". ") + 1;
+    if (cut <= 0) cut = max;
+    out.push([s, s + cut]);
+    s += cut;
+  }
+  if (end > s) out.push([s, end]);
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Divide el texto extraído en fragmentos por secciones: las secciones cortas se
+// agrupan y las largas se parten por párrafos. Cada fragmento lleva su título
+// de sección y rango de páginas para poder citar de dónde sale cada pregunta.
+// ---------------------------------------------------------------------------
+export function chunkText({ text = "", pageOffsets = null, sections = [] }, { maxChars = CHUNK_CHARS } = {}) {
+  // Rangos por sección (lo anterior al primer título va como "Introducción")
+  const bounds = [];
+  const sorted = [...(sections || [])].sort((a, b) => a.offset - b.offset);
+  if (!sorted.length || sorted[0].offset > 0) {
+    bounds.push({ title: sorted.length ? "Introducción" : null, start: 0 });
+  }
+  for (const sec of sorted) bounds.push({ title: sec.title, start: sec.offset });
+  const ranges = bounds
+    .map((b, i) => ({ title: b.title, start: b.start, end: bounds[i + 1]?.start ?? text.length }))
+    .filter((r) => text.slice(r.start, r.end).trim());
+
+  // Agrupa secciones consecutivas mientras quepan; parte las que no caben
+  const pieces = [];
+  let group = null;
+  for (const r of ranges) {
+    const len = r.end - r.start;
+    if (len > maxChars) {
+      if (group) {
+        pieces.push(group);
+        group = null;
+      }
+      for (const [s, e] of splitRange(text, r.start, r.end, maxChars)) {
+        pieces.push({ titles: [r.title], start: s, end: e });
+      }
+      continue;
+    }
+    if (group && r.end - group.start <= maxChars) {
+      group.titles.push(r.title);
+      group.end = r.end;
+    } else {
+      if (group) pieces.push(group);
+      group = { titles: [r.title], start: r.start, end: r.end };
+    }
+  }
+  if (group) pieces.push(group);
+
+  return pieces.map((p, index) => {
+    const titles = [...new Set(p.titles.filter(Boolean))];
+    return {
+      index,
+      section: titles.length ? titles.slice(0, 3).join(" · ") + (titles.length > 3 ? " …" : "") : `Parte ${index + 1}`,
+      pageStart: pageForOffset(pageOffsets, p.start),
+      pageEnd: pageForOffset(pageOffsets, Math.max(p.start, p.end - 1)),
+      start: p.start,
+      end: p.end,
+      text: text.slice(p.start, p.end),
+    };
+  });
+}
+
+// Orden de generación: primero los fragmentos con menos preguntas generadas
+// (coverage = { [index]: nº de preguntas }), a igualdad, en orden del manual
+export function pickChunks(chunks, coverage = {}, howMany = chunks.length) {
+  return [...chunks]
+    .sort((a, b) => (coverage[a.index] || 0) - (coverage[b.index] || 0) || a.index - b.index)
+    .slice(0, howMany);
+}
@@ -0,0 +1,62 @@
+// lib/citations.js
+
+// Normaliza para comparar citas: minúsculas, comillas/guiones tipográficos
+// unificados y espacios colapsados (el PDF parte líneas de forma arbitraria)
+function normalizeForMatch(str = "") {
+  return String(str)
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[“”«»„]/g, '"')
+    .replace(/[‘’´`]/g, "'")
+    .replace(/[–—−]/g, "-")
+    .replace(/…/g, "...")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Índice de la cita en el texto original (o -1). Se compara sobre el texto
+// normalizado y se mapea de vuelta al índice original para poder sacar la página.
+export function findQuote(text, quote) {
+  const q = normalizeForMatch(quote).replace(/^["']|["']$/g, "").replace(/\.{3}$/, "").trim();
+  if (q.length < 12) return -1; // demasiado corta para ser una prueba
+  const map = [];
+  let norm = "";
+  let prevSpace = true;
+  const src = String(text).normalize("NFC");
+  for (let i = 0; i < src.length; i++) {
+    let ch = normalizeForMatch(src[i]) || " ";
+    if (ch === " ") {
+      if (prevSpace) continue;
+      prevSpace = true;
+    } else {
+      prevSpace = false;
+    }
+    norm += ch;
+    for (let k = 0; k < ch.length; k++) map.push(i);
+  }
+  const idx = norm.indexOf(q);
+  return idx < 0 ? -1 : map[idx];
+}
+
+// Página (1-based) que contiene el offset, dados los offsets de inicio de cada página
+export function pageForOffset(pageOffsets, offset) {
+  if (!Array.isArray(pageOffsets) || !pageOffsets.length || offset < 0) return null;
+  let page = 0;
+  while (page + 1 < pageOffsets.length && pageOffsets[page + 1] <= offset) page++;
+  return page + 1;
+}
+
+// Comprueba la cita de cada pregunta; devuelve { kept, dropped } con `page` añadido
+export function verifyCitations(questions, { text, pageOffsets = null }) {
+  const kept = [];
+  const dropped = [];
+  for (const q of questions) {
+    const offset = findQuote(text, q.quote || "");
+    if (offset < 0) {
+      dropped.push(q);
+      continue;
+    }
+    kept.push({ ...q, page: pageForOffset(pageOffsets, offset) });
+  }
+  return { kept, dropped };
+}
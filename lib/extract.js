@@ -1,7 +1,10 @@
 // lib/extract.js
 import fetch from "node-fetch";
+import crypto from "crypto";
 import { JSDOM } from "jsdom";
 import { Readability } from "@mozilla/readability";
+import mammoth from "mammoth";
+import { detectFileType, isUploadUrl, readUpload } from "./uploads.js";
 
 // ---------------------------------------------------------------------------
 // Utilidades: timeout, reintentos, normalización de URLs de descarga
@@ -43,12 +46,13 @@ function normalizeDownloadUrl(url) {
   }
 }
 
-async function fetchWithRetry(url, { tries = 3, timeoutMs = 20000 } = {}) {
+async function fetchWithRetry(url, { tries = 3, timeoutMs = 20000, extraHeaders = {} } = {}) {
   const headers = {
     "User-Agent":
       "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36",
     "Accept": "*/*",
-    "Accept-Language": "es-ES,es;q=0.9"
+    "Accept-Language": "es-ES,es;q=0.9",
+    ...extraHeaders
   };
 
   let lastErr;
@@ -99,6 +103,39 @@ async function ensurePdfjs() {
   return pdfjs;
 }
 
+// Agrupa los items de pdf.js en líneas (cambio de "y" o fin de línea explícito)
+function itemsToLines(items) {
+  const lines = [];
+  let current = null;
+  let lastY = null;
+  for (const it of items) {
+    if (!("str" in it)) continue;
+    const y = it.transform?.[5] ?? 0;
+    const size = Math.abs(it.transform?.[3] || it.height || 0);
+    if (!current || (lastY !== null && Math.abs(y - lastY) > 2)) {
+      current = { text: "", size: 0 };
+      lines.push(current);
+    }
+    current.text += (current.text && it.str && !current.text.endsWith(" ") ? " " : "") + it.str;
+    if (it.str.trim()) current.size = Math.max(current.size, size);
+    lastY = y;
+    if (it.hasEOL) current = null;
+  }
+  return lines
+    .map((l) => ({ text: l.text.replace(/\s+/g, " ").trim(), size: l.size }))
+    .filter((l) => l.text);
+}
+
+// Heurística de títulos: letra más grande que el cuerpo o línea corta en MAYÚSCULAS
+function isHeadingLine(line, bodySize) {
+  if (line.text.length > 90) return false;
+  if (bodySize && line.size >= bodySize * 1.15) return true;
+  const letters = line.text.replace(/[^A-Za-zÁÉÍÓÚÜÑáéíóúüñ]/g, "");
+  return letters.length >= 4 && letters === letters.toUpperCase();
+}
+
+// Texto por páginas conservando saltos de línea, el offset donde empieza cada
+// página y los títulos de sección detectados ({ title, offset, page })
 async function extractTextFromPdfBuffer(uint8) {
   const _pdfjs = await ensurePdfjs();
 
@@ -112,52 +149,231 @@ async function extractTextFromPdfBuffer(uint8) {
 
   const pdf = await loadingTask.promise;
 
-  let fullText = "";
+  const pages = [];
   for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
     const page = await pdf.getPage(pageNum);
     const content = await page.getTextContent();
-    const strings = content.items.map((it) => it.str);
-    fullText += strings.join(" ") + "\n";
+    pages.push(itemsToLines(content.items));
+  }
+
+  // Tamaño de letra del cuerpo = mediana ponderada por caracteres
+  const sizes = pages.flat().flatMap((l) => Array(Math.min(l.text.length, 200)).fill(l.size)).sort((a, b) => a - b);
+  const bodySize = sizes.length ? sizes[Math.floor(sizes.length / 2)] : 0;
+
+  let fullText = "";
+  const pageOffsets = [];
+  const sections = [];
+  pages.forEach((lines, i) => {
+    pageOffsets.push(fullText.length);
+    for (const line of lines) {
+      if (isHeadingLine(line, bodySize)) sections.push({ title: line.text, offset: fullText.length, page: i + 1 });
+      fullText += line.text.replace(/\r/g, "") + "\n";
+    }
+    fullText += "\n";
+  });
+  return { text: fullText.trimEnd(), pageOffsets, sections };
+}
+
+// Texto de un artículo HTML por bloques, registrando los h1–h4 como secciones
+const BLOCK_SELECTOR = "h1,h2,h3,h4,h5,h6,p,li,pre,blockquote,td,th,dt,dd,figcaption";
+function htmlArticleToText(contentHtml) {
+  const { document } = new JSDOM(`<body>${contentHtml}</body>`).window;
+  let text = "";
+  const sections = [];
+  for (const el of document.body.querySelectorAll(BLOCK_SELECTOR)) {
+    if (el.parentElement?.closest(BLOCK_SELECTOR)) continue; // ya incluido por su bloque padre
+    const t = el.textContent.replace(/\s+/g, " ").trim();
+    if (!t) continue;
+    if (/^H[1-4]$/.test(el.tagName)) sections.push({ title: t, offset: text.length, page: null });
+    text += t + "\n";
+  }
+  return { text: text.trimEnd(), sections };
+}
+
+// Markdown → texto: los "#" marcan secciones y se quita el formato en línea
+function markdownToText(md) {
+  let text = "";
+  const sections = [];
+  let inFence = false;
+  for (const raw of md.replace(/\r\n?/g, "\n").split("\n")) {
+    if (/^\s*(```|~~~)/.test(raw)) {
+      inFence = !inFence;
+      continue;
+    }
+    let line = raw.trim();
+    if (!line || (!inFence && /^(-{3,}|\*{3,}|_{3,})$/.test(line))) continue;
+    const heading = !inFence && line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+    if (!inFence) {
+      line = (heading ? heading[2] : line)
+        .replace(/^\s*(?:[-*+]|\d+[.)])\s+/, "") // viñetas
+        .replace(/^>\s?/, "") // citas
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1") // enlaces e imágenes
+        .replace(/(\*\*|__|\*|_|`)(.+?)\1/g, "$2") // negrita, cursiva, código
+        .replace(/^\|?(.*?)\|?$/, (m, row) => (m.includes("|") ? row.split("|").map((c) => c.trim()).join(" · ") : m));
+      if (/^[\s:|·-]*$/.test(line)) continue; // separador de tabla
+    }
+    if (heading && heading[1].length <= 4) sections.push({ title: line, offset: text.length, page: null });
+    text += line + "\n";
+  }
+  return { text: text.trimEnd(), sections };
+}
+
+// Texto plano: se normalizan saltos de línea y se quitan líneas vacías repetidas
+function plainText(str) {
+  return str.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").replace(/[ \t]+\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// Título legible a partir del nombre del fichero ("manual-sala.docx" → "manual-sala").
+// El de una URL viene codificado; el de una subida ya no ("50%.md" no se decodifica)
+function titleFromName(name, fallback) {
+  let title = String(name || "");
+  try {
+    title = decodeURIComponent(title);
+  } catch {
+    // ya estaba decodificado
   }
-  return fullText.replace(/\r/g, "").trim();
+  return title.replace(/\.[a-z0-9]+$/i, "") || fallback;
 }
 
 // ---------------------------------------------------------------------------
-// API pública
+// Parseo del cuerpo ya descargado o subido. El formato se decide por el
+// contenido (firma del fichero), no solo por content-type o la extensión.
 // ---------------------------------------------------------------------------
-export async function extractMainTextFromUrl(url) {
-  const res = await fetchWithRetry(url, { tries: 3, timeoutMs: 20000 });
+async function parseBody(url, contentType, buffer, filename = url.split(/[?#]/)[0].split("/").pop()) {
+  const type = detectFileType(buffer, { contentType, filename });
 
-  if (!res.ok) {
-    throw new Error(`No se pudo descargar la URL: ${res.status}`);
+  // --- PDF ---
+  if (type === "pdf") {
+    const { text: rawText, pageOffsets, sections } = await extractTextFromPdfBuffer(new Uint8Array(buffer));
+    if (!rawText.trim()) throw new Error("No se pudo extraer texto del PDF.");
+    return { title: filename || "Documento PDF", text: rawText, pageOffsets, sections };
   }
 
-  const contentType = (res.headers.get("content-type") || "").toLowerCase();
+  // --- DOCX (los estilos de título de Word pasan a h1–h4) ---
+  if (type === "docx") {
+    const { value: html } = await mammoth.convertToHtml({ buffer });
+    const blocks = htmlArticleToText(html);
+    if (!blocks.text.trim()) throw new Error("No se pudo extraer texto del documento Word.");
+    return {
+      title: blocks.sections[0]?.title || titleFromName(filename, "Documento Word"),
+      text: blocks.text,
+      pageOffsets: null,
+      sections: blocks.sections,
+    };
+  }
 
-  // --- PDF ---
-  if (contentType.includes("application/pdf") || url.toLowerCase().endsWith(".pdf")) {
-    const arrayBuffer = await res.arrayBuffer();
-    const uint8 = new Uint8Array(arrayBuffer);
-    const rawText = await extractTextFromPdfBuffer(uint8);
-    if (!rawText) throw new Error("No se pudo extraer texto del PDF.");
-    const title = url.split("/").pop() || "Documento PDF";
-    return { title, text: rawText };
+  // --- Markdown / texto ---
+  if (type === "markdown" || type === "text") {
+    const raw = buffer.toString("utf8");
+    const { text, sections } = type === "markdown" ? markdownToText(raw) : { text: plainText(raw), sections: [] };
+    if (!text.trim()) throw new Error("El documento no contiene texto.");
+    return {
+      title: sections[0]?.title || titleFromName(filename, "Documento"),
+      text,
+      pageOffsets: null,
+      sections,
+    };
   }
 
+  if (type !== "html") throw new Error("Formato de documento no soportado.");
+
   // --- HTML ---
-  const html = await res.text();
-  const dom = new JSDOM(html, { url });
+  const html = buffer.toString("utf8");
+  const dom = new JSDOM(html, { url: isUploadUrl(url) ? undefined : url });
   const reader = new Readability(dom.window.document);
   const article = reader.parse();
   if (!article || !article.textContent || !article.textContent.trim()) {
     throw new Error("No se pudo extraer contenido legible de la página HTML.");
   }
+  // Por bloques para conservar títulos; si no hay bloques reconocibles, texto plano
+  const blocks = htmlArticleToText(article.content || "");
   return {
-    title: article.title || (url.split("/").pop() || "Documento"),
-    text: article.textContent.trim(),
+    title: article.title || titleFromName(filename, "Documento"),
+    text: blocks.text || article.textContent.trim(),
+    pageOffsets: null,
+    sections: blocks.text ? blocks.sections : [],
   };
 }
 
+const sha256 = (buf) => crypto.createHash("sha256").update(buf).digest("hex");
+
+// ---------------------------------------------------------------------------
+// API pública
+// ---------------------------------------------------------------------------
+export async function extractMainTextFromUrl(url) {
+  if (isUploadUrl(url)) {
+    const { meta, buffer } = await readUpload(url);
+    return parseBody(url, "", buffer, meta.filename);
+  }
+  const res = await fetchWithRetry(url, { tries: 3, timeoutMs: 20000 });
+
+  if (!res.ok) {
+    throw new Error(`No se pudo descargar la URL: ${res.status}`);
+  }
+
+  const contentType = (res.headers.get("content-type") || "").toLowerCase();
+  const buffer = Buffer.from(await res.arrayBuffer());
+  return parseBody(url, contentType, buffer);
+}
+
+// Variante con caché: revalida con ETag/Last-Modified (304 → no se descarga)
+// y, si el servidor no los da, compara el hash del contenido para no re-parsear.
+// `cache` es un objeto { get(url), set(url, entry) }; devuelve también `hash`.
+// `onProgress(stage)` avisa de las fases "descargando" y "extrayendo" (progreso del start-test)
+export async function extractMainTextCached(url, cache, { maxAgeMs = 0, onProgress = () => {} } = {}) {
+  const cached = await cache.get(url);
+  if (cached && maxAgeMs && Date.now() - Date.parse(cached.checkedAt) < maxAgeMs) {
+    return { title: cached.title, text: cached.text, pageOffsets: cached.pageOffsets ?? null, sections: cached.sections ?? [], hash: cached.hash, cache: "fresh" };
+  }
+
+  // Documento subido: no hay revalidación HTTP, basta con el hash del fichero
+  if (isUploadUrl(url)) {
+    const { meta, buffer } = await readUpload(url);
+    const hash = sha256(buffer);
+    if (cached && cached.hash === hash) {
+      return { title: cached.title, text: cached.text, pageOffsets: cached.pageOffsets ?? null, sections: cached.sections ?? [], hash, cache: "same-hash" };
+    }
+    onProgress("extrayendo");
+    const { title, text, pageOffsets, sections } = await parseBody(url, "", buffer, meta.filename);
+    await cache.set(url, { title, text, pageOffsets, sections, hash, checkedAt: new Date().toISOString() });
+    return { title, text, pageOffsets, sections, hash, cache: "miss" };
+  }
+
+  const extraHeaders = {};
+  if (cached?.etag) extraHeaders["If-None-Match"] = cached.etag;
+  if (cached?.lastModified) extraHeaders["If-Modified-Since"] = cached.lastModified;
+
+  onProgress("descargando");
+  const res = await fetchWithRetry(url, { tries: 3, timeoutMs: 20000, extraHeaders });
+
+  if (res.status === 304 && cached) {
+    await cache.set(url, { ...cached, checkedAt: new Date().toISOString() });
+    return { title: cached.title, text: cached.text, pageOffsets: cached.pageOffsets ?? null, sections: cached.sections ?? [], hash: cached.hash, cache: "not-modified" };
+  }
+  if (!res.ok) {
+    throw new Error(`No se pudo descargar la URL: ${res.status}`);
+  }
+
+  const contentType = (res.headers.get("content-type") || "").toLowerCase();
+  const buffer = Buffer.from(await res.arrayBuffer());
+  const hash = sha256(buffer);
+  const validators = {
+    etag: res.headers.get("etag") || null,
+    lastModified: res.headers.get("last-modified") || null,
+    checkedAt: new Date().toISOString(),
+  };
+
+  if (cached && cached.hash === hash) {
+    await cache.set(url, { ...cached, ...validators });
+    return { title: cached.title, text: cached.text, pageOffsets: cached.pageOffsets ?? null, sections: cached.sections ?? [], hash, cache: "same-hash" };
+  }
+
+  onProgress("extrayendo");
+  const { title, text, pageOffsets, sections } = await parseBody(url, contentType, buffer);
+  await cache.set(url, { title, text, pageOffsets, sections, hash, ...validators });
+  return { title, text, pageOffsets, sections, hash, cache: "miss" };
+}
+
 export async function extractMany(urls) {
   const results = [];
   const errors = [];
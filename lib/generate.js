@@ -1,8 +1,16 @@
 // lib/generate.js
-import OpenAI from "openai";
+import { verifyCitations } from "./citations.js";
+import { getProvider } from "./llm.js";
+import { validateQuestions } from "./validate.js";
+import { LANGUAGES, DEFAULT_LANGUAGE } from "./i18n.js";
+import { QUESTION_TYPES, DEFAULT_TYPES, LEVELS } from "./questions.js";
+import { BUDGET_EXCEEDED } from "./usage.js";
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 const NUM_QUESTIONS = Number(process.env.NUM_QUESTIONS || 10);
+// Rondas extra para reponer las preguntas descartadas
+const GEN_MAX_RETRIES = Number(process.env.GEN_MAX_RETRIES ?? 2);
+// Tope de enunciados a evitar que se meten en el prompt
+const MAX_AVOID = 60;
 
 // Barajar
 function shuffle(array) {
@@ -14,29 +22,203 @@ function shuffle(array) {
   return a;
 }
 
-export async function generateQuestionBank({ text, role }) {
+// Descripción del nivel que se inyecta en el prompt
+const DIFFICULTY_PROMPTS = {
+  facil: "de nivel fácil (datos básicos y explícitos del texto)",
+  media: "de nivel medio (requieren leer con atención y relacionar datos cercanos)",
+  dificil: "de nivel difícil",
+  mixta: "de niveles variados (más o menos un tercio fáciles, un tercio de nivel medio y un tercio difíciles)",
+};
+
+// `role` es un perfil de resolveRole() ({ label, guidance }) o null (test general).
+// `text` es un fragmento del manual (ver lib/chunk.js) y `section` su título.
+// `pageOffsets` (PDF, relativos al fragmento) permite asignar la página a cada cita.
+// `existingPrompts`: enunciados de otros bancos que no se deben repetir.
+// `language`: idioma de las preguntas; fuera del español cada pregunta lleva además
+// `promptEs` y `optionsEs` (versión en español para la revisión de RRHH).
+// `types`: tipos de pregunta permitidos (lib/questions.js); por defecto solo A–D.
+// Puede devolver menos de `count` si tras los reintentos no hay suficientes válidas.
+export async function generateQuestionBank({
+  text,
+  role,
+  count = NUM_QUESTIONS,
+  difficulty = "dificil",
+  pageOffsets = null,
+  section = "",
+  existingPrompts = [],
+  language = DEFAULT_LANGUAGE,
+  types = DEFAULT_TYPES,
+}) {
+  const mixed = types.some((t) => t !== "single");
+  const bilingual = language !== DEFAULT_LANGUAGE;
+  const languageRule = bilingual
+    ? `
+Redacta "prompt", "options" y "explanation" en ${LANGUAGES[language].name}, aunque el texto fuente esté en español.
+La "quote" se copia del texto fuente en español, SIN traducir.
+Incluye también la versión en español de cada pregunta: "promptEs" (enunciado) y "optionsEs" (las opciones en el mismo orden).`
+    : "";
+  const roleLabel = role?.label || "general";
+  const roleGuidance = role?.guidance
+    ? `Orientación para este puesto: ${role.guidance}`
+    : "";
+  const level = DIFFICULTY_PROMPTS[difficulty] || DIFFICULTY_PROMPTS.dificil;
+  // Si el modelo no indica el nivel de una pregunta, el del banco
+  const fallbackLevel = LEVELS.includes(difficulty) ? difficulty : "media";
   const systemPrompt = `
 Eres un evaluador de formación en restauración.
-Genera preguntas de opción única (A–D), de nivel difícil, piensa que es para poner a prueba a nuevos empleados para acceder a trabajar en mi restaurante.
+Genera preguntas ${mixed ? "de los tipos indicados más abajo" : "de opción única (A–D)"}, ${level}, piensa que es para poner a prueba a nuevos empleados para acceder a trabajar en mi restaurante.
 Usa EXCLUSIVAMENTE el texto proporcionado.
-Cada pregunta: enunciado claro + 4 opciones plausibles + 1 sola correcta.
+${mixed ? typesRule(types) : "Cada pregunta: enunciado claro + 4 opciones plausibles + 1 sola correcta."}
+Cada pregunta incluye además:
+- "explanation": por qué la opción correcta es la correcta (1–2 frases, para dar feedback al candidato).
+- "quote": fragmento COPIADO LITERALMENTE del texto fuente (entre 5 y 40 palabras) que justifica la respuesta. No lo parafrasees.
+- "level": nivel real de esa pregunta: "facil", "media" o "dificil".
+${roleGuidance}
+${languageRule}
 `.trim();
 
-  const userPrompt = `
-Puesto (texto libre): "${role || ""}"
+  const baseUserPrompt = `
+Puesto: "${roleLabel}"
+
+Sección del manual: "${section || ""}"
 
-Texto fuente (puede estar truncado):
-"""${(text || "").slice(0, 30000)}"""
+Texto fuente:
+"""${text || ""}"""
 `.trim();
 
-  const schema = {
+  const provider = getProvider();
+  // El offline saca las preguntas del propio texto: no puede traducirlas, y un pool
+  // en español guardado como otro idioma se serviría como si lo fuera
+  if (bilingual && provider.generateQuestions) {
+    throw new Error(`El proveedor offline solo genera preguntas en español (pedido: ${language})`);
+  }
+  const accepted = [];
+
+  // Cada ronda pide solo las que faltan; las preguntas malas se descartan en vez
+  // de tumbar el banco entero
+  for (let round = 0; round <= GEN_MAX_RETRIES && accepted.length < count; round++) {
+    const missing = count - accepted.length;
+    const avoid = [...existingPrompts, ...accepted.map((q) => q.prompt)];
+
+    let parsed;
+    try {
+      parsed = await requestBatch(provider, {
+        text,
+        difficulty,
+        missing,
+        systemPrompt,
+        userPrompt: avoidBlock(avoid) + baseUserPrompt,
+        bilingual,
+        types,
+      });
+    } catch (err) {
+      // Sin presupuesto no tiene sentido seguir reintentando
+      if (err.code === BUDGET_EXCEEDED) throw err;
+      console.warn(`[generate] ronda ${round + 1}: ${err.message}`);
+      continue;
+    }
+
+    const { valid, rejected } = validateQuestions(parsed.questions, { existingPrompts: avoid });
+    // Solo valen las preguntas cuya cita aparece de verdad en el texto fuente
+    const { kept, dropped } = verifyCitations(valid, { text, pageOffsets });
+    if (rejected.length || dropped.length) {
+      const reasons = [...rejected.map((r) => r.reason), ...dropped.map(() => "cita no encontrada")];
+      console.warn(`[generate] ronda ${round + 1}: ${reasons.length} preguntas descartadas (${summarize(reasons)})`);
+    }
+
+    // El proveedor offline es determinista: se respeta su orden
+    const batch = provider.deterministic ? kept : shuffle(kept);
+    accepted.push(...batch.slice(0, missing).map((q) => ({ ...q, level: LEVELS.includes(q.level) ? q.level : fallbackLevel })));
+  }
+
+  if (!accepted.length) {
+    throw new Error("La IA no devolvió ninguna pregunta válida.");
+  }
+  if (accepted.length < count) {
+    console.warn(`[generate] solo ${accepted.length}/${count} preguntas válidas tras ${GEN_MAX_RETRIES + 1} rondas`);
+  }
+
+  return accepted;
+}
+
+// Instrucciones por tipo de pregunta (solo los permitidos)
+const TYPE_RULES = {
+  single: `"single": 4 opciones plausibles y 1 sola correcta en "correctIndex" (0–3).`,
+  truefalse: `"truefalse": una afirmación en "prompt"; "options" = ["Verdadero", "Falso"] en ese orden; "correctIndex" 0 si es verdadera y 1 si es falsa.`,
+  multi: `"multi": entre 4 y 6 opciones con varias correctas (nunca todas) en "correctIndexes".`,
+  ordering: `"ordering": entre 3 y 6 pasos de un procedimiento del texto en "options", EN SU ORDEN CORRECTO (se barajan al mostrarlos).`,
+  numeric: `"numeric": la respuesta es una cifra del texto (temperatura, gramos, tiempo…) en "correctValue", el margen aceptable en "tolerance" (0 si es exacta) y la unidad en "unit"; "options" vacío.`,
+};
+
+function typesRule(types) {
+  return `Tipos permitidos (indica cada uno en "type" y repártelos):\n${types.map((t) => `- ${TYPE_RULES[t]}`).join("\n")}`;
+}
+
+// Enunciados que el modelo no debe repetir (otras secciones, otros bancos)
+function avoidBlock(prompts) {
+  if (!prompts.length) return "";
+  const list = prompts.slice(-MAX_AVOID).map((p) => `- ${p}`).join("\n");
+  return `No repitas ni reformules estas preguntas ya existentes:\n${list}\n\n`;
+}
+
+// "duplicada x2, cita no encontrada x1"
+function summarize(reasons) {
+  const counts = {};
+  for (const r of reasons) counts[r] = (counts[r] || 0) + 1;
+  return Object.entries(counts).map(([r, n]) => `${r} x${n}`).join(", ");
+}
+
+// Una llamada al proveedor; lanza si la respuesta no es utilizable
+async function requestBatch(provider, { text, difficulty, missing, systemPrompt, userPrompt, bilingual, types }) {
+  if (provider.generateQuestions) {
+    // Offline: sin prompt ni traducción, las preguntas salen en español directamente del texto
+    return provider.generateQuestions({ text, count: missing + 2, difficulty, types });
+  }
+
+  const { text: jsonText } = await provider.completeJson({
+    system: systemPrompt,
+    user: userPrompt,
+    schema: questionsSchema(missing, { bilingual, types }),
+    name: "Questions",
+  });
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonText);
+  } catch {
+    throw new Error("La IA no devolvió JSON válido.");
+  }
+  if (!parsed?.questions || !Array.isArray(parsed.questions)) {
+    throw new Error("La IA no devolvió preguntas.");
+  }
+  return parsed;
+}
+
+function questionsSchema(count, { bilingual = false, types = DEFAULT_TYPES } = {}) {
+  const mixed = types.some((t) => t !== "single");
+  const spanish = bilingual
+    ? {
+        promptEs: { type: "string" },
+        optionsEs: { type: "array", minItems: mixed ? 0 : 4, maxItems: mixed ? 6 : 4, items: { type: "string" } },
+      }
+    : {};
+  // Con varios tipos cada uno usa sus campos: correctIndex, correctIndexes o correctValue
+  const typed = mixed
+    ? {
+        type: { type: "string", enum: QUESTION_TYPES.filter((t) => types.includes(t)) },
+        correctIndexes: { type: "array", items: { type: "integer", minimum: 0, maximum: 5 } },
+        correctValue: { type: "number" },
+        tolerance: { type: "number", minimum: 0 },
+        unit: { type: "string" },
+      }
+    : {};
+  return {
     type: "object",
     properties: {
       questions: {
         type: "array",
-        // Pedimos holgura para poder elegir exactamente NUM_QUESTIONS
-        minItems: Math.max(NUM_QUESTIONS, 10),
-        maxItems: Math.max(NUM_QUESTIONS + 2, 12),
+        // Pedimos holgura para poder elegir exactamente `count` tras descartar las malas
+        minItems: count + 2,
+        maxItems: count + 4,
         items: {
           type: "object",
           properties: {
@@ -44,13 +226,27 @@ Texto fuente (puede estar truncado):
             prompt: { type: "string" },
             options: {
               type: "array",
-              minItems: 4,
-              maxItems: 4,
+              minItems: mixed ? 0 : 4,
+              maxItems: mixed ? 6 : 4,
               items: { type: "string" },
             },
-            correctIndex: { type: "integer", minimum: 0, maximum: 3 },
+            correctIndex: { type: "integer", minimum: 0, maximum: mixed ? 5 : 3 },
+            explanation: { type: "string" },
+            quote: { type: "string" },
+            level: { type: "string", enum: LEVELS },
+            ...typed,
+            ...spanish,
           },
-          required: ["id", "prompt", "options", "correctIndex"],
+          required: [
+            "id",
+            "prompt",
+            "options",
+            ...(mixed ? ["type"] : ["correctIndex"]),
+            "explanation",
+            "quote",
+            "level",
+            ...Object.keys(spanish),
+          ],
           additionalProperties: false,
         },
       },
@@ -58,51 +254,4 @@ Texto fuente (puede estar truncado):
     required: ["questions"],
     additionalProperties: false,
   };
-
-  const resp = await openai.responses.create({
-    model: "gpt-4o-mini",
-    input: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: userPrompt },
-    ],
-    text: {
-      format: {
-        type: "json_schema",
-        name: "Questions",
-        schema,
-      },
-    },
-  });
-
-  let jsonText = "";
-  if (resp.output_text) jsonText = resp.output_text;
-  else if (resp.output?.[0]?.content?.[0]?.text) jsonText = resp.output[0].content[0].text;
-  else if (resp.content?.[0]?.text) jsonText = resp.content[0].text;
-
-  let parsed;
-  try {
-    parsed = JSON.parse(jsonText);
-  } catch {
-    throw new Error("La IA no devolvió JSON válido.");
-  }
-
-  if (!parsed?.questions || !Array.isArray(parsed.questions) || parsed.questions.length < NUM_QUESTIONS) {
-    throw new Error(`La IA no devolvió suficientes preguntas (esperadas ${NUM_QUESTIONS}).`);
-  }
-
-  const selected = shuffle(parsed.questions).slice(0, NUM_QUESTIONS);
-
-  // Validación
-  selected.forEach((q, i) => {
-    if (!q.id || !q.prompt || !Array.isArray(q.options) || q.options.length !== 4) {
-      throw new Error(`Pregunta inválida en posición ${i}`);
-    }
-    if (typeof q.correctIndex !== "number" || q.correctIndex < 0 || q.correctIndex > 3) {
-      throw new Error(`Índice correcto inválido en pregunta ${q.id}`);
-    }
-  });
-
-  return selected;
 }
-
-
@@ -0,0 +1,73 @@
+// lib/history.js
+import { createJsonFile, dictionary } from "./store.js";
+import { normalizeDni } from "./policy.js";
+
+// ---------------------------------------------------------------------------
+// Historial de intentos por DNI (DATA_DIR/history.json). Es lo que cuenta para la
+// política de repeticiones y no depende del almacén de intentos: los intentos en
+// memoria se pierden al reiniciar y los abandonados se borran al caducar
+// (ATTEMPT_TTL_HOURS), pero aquí siguen constando.
+// { [dni]: [{ attemptId, mode, startedAt, deadlineAt, finishedAt, abandonedAt,
+//            policyResetAt }] }
+// ---------------------------------------------------------------------------
+export function createHistoryStore({ file = "history.json" } = {}) {
+  const jsonFile = createJsonFile(file, {});
+  let history = null;
+
+  async function load() {
+    if (!history) history = dictionary(await jsonFile.read());
+    return history;
+  }
+  const persist = () => jsonFile.save(history);
+
+  return {
+    async list(dni) {
+      const all = await load();
+      return [...(all[normalizeDni(dni)] || [])];
+    },
+    async record(dni, { attemptId, mode = "exam", startedAt, deadlineAt = null }) {
+      const all = await load();
+      const key = normalizeDni(dni);
+      (all[key] ||= []).push({ attemptId, mode, startedAt, deadlineAt });
+      await persist();
+    },
+    async update(dni, attemptId, patch) {
+      const entry = (await load())[normalizeDni(dni)]?.find((e) => e.attemptId === attemptId);
+      if (!entry) return null;
+      Object.assign(entry, patch);
+      await persist();
+      return entry;
+    },
+    // Deja de contar los intentos indicados (reset de un admin)
+    async reset(dni, attemptIds, resetAt = new Date().toISOString()) {
+      const entries = (await load())[normalizeDni(dni)] || [];
+      const wanted = new Set(attemptIds);
+      for (const e of entries) if (wanted.has(e.attemptId)) e.policyResetAt = resetAt;
+      await persist();
+    },
+    async remove(dni) {
+      const all = await load();
+      const key = normalizeDni(dni);
+      const removed = all[key]?.length || 0;
+      if (removed) {
+        delete all[key];
+        await persist();
+      }
+      return removed;
+    },
+    // Alta de los intentos que ya existían antes del historial (primer arranque)
+    async importAttempts(list) {
+      const all = await load();
+      const known = new Set(Object.values(all).flatMap((entries) => entries.map((e) => e.attemptId)));
+      let added = 0;
+      for (const a of list) {
+        if (known.has(a.id) || !a.dni) continue;
+        const { id: attemptId, mode = "exam", startedAt, deadlineAt = null, finishedAt, policyResetAt } = a;
+        (all[normalizeDni(a.dni)] ||= []).push({ attemptId, mode, startedAt, deadlineAt, finishedAt, policyResetAt });
+        added++;
+      }
+      if (added) await persist();
+      return added;
+    },
+  };
+}
@@ -0,0 +1,265 @@
+// lib/i18n.js
+
+// Idiomas en los que se puede hacer el test (los manuales siguen en español)
+export const LANGUAGES = {
+  es: { name: "español", startCommand: "Realizar Test" },
+  en: { name: "English", startCommand: "Start Test" },
+  ca: { name: "català", startCommand: "Fer el Test" },
+  pt: { name: "português", startCommand: "Realizar Teste" },
+};
+export const DEFAULT_LANGUAGE = "es";
+
+// "EN", "en-GB", "pt_BR" → código soportado; null si no lo es
+export function resolveLanguage(input) {
+  if (input === undefined || input === null || input === "") return DEFAULT_LANGUAGE;
+  const code = String(input).trim().toLowerCase().split(/[-_]/)[0];
+  return Object.hasOwn(LANGUAGES, code) ? code : null;
+}
+
+// Frase de arranque aceptada: la del idioma del candidato o la original en español
+export function isStartCommand(lang, command) {
+  return command === LANGUAGES[lang]?.startCommand || command === LANGUAGES.es.startCommand;
+}
+
+// ---------------------------------------------------------------------------
+// Mensajes que ve el candidato (los de administración siguen en español).
+// Variables con {{nombre}}.
+// ---------------------------------------------------------------------------
+const MESSAGES = {
+  invalid_name: {
+    es: "Nombre y apellidos inválidos",
+    en: "Invalid full name",
+    ca: "Nom i cognoms no vàlids",
+    pt: "Nome completo inválido",
+  },
+  invalid_dni: {
+    es: "DNI inválido",
+    en: "Invalid ID number",
+    ca: "DNI no vàlid",
+    pt: "Número de identificação inválido",
+  },
+  invalid_dni_letter: {
+    es: "La letra del DNI/NIE no es correcta",
+    en: "The check letter of the DNI/NIE is not correct",
+    ca: "La lletra del DNI/NIE no és correcta",
+    pt: "A letra de controlo do DNI/NIE não está correta",
+  },
+  invalid_email: {
+    es: "Email inválido",
+    en: "Invalid email",
+    ca: "Correu electrònic no vàlid",
+    pt: "Email inválido",
+  },
+  start_command: {
+    es: "Debes escribir exactamente: {{command}}",
+    en: "You must type exactly: {{command}}",
+    ca: "Has d'escriure exactament: {{command}}",
+    pt: "Deves escrever exatamente: {{command}}",
+  },
+  open_attempt: {
+    es: "Ya tienes un test en curso",
+    en: "You already have a test in progress",
+    ca: "Ja tens un test en curs",
+    pt: "Já tens um teste em curso",
+  },
+  max_attempts: {
+    es: "Has alcanzado el máximo de {{max}} intentos",
+    en: "You have reached the maximum of {{max}} attempts",
+    ca: "Has arribat al màxim de {{max}} intents",
+    pt: "Atingiste o máximo de {{max}} tentativas",
+  },
+  cooldown: {
+    es: "Debes esperar {{hours}} h antes de repetir el test",
+    en: "You must wait {{hours}} h before retaking the test",
+    ca: "Has d'esperar {{hours}} h abans de repetir el test",
+    pt: "Deves esperar {{hours}} h antes de repetir o teste",
+  },
+  rate_limited: {
+    es: "Demasiados intentos de inicio; vuelve a probar en {{minutes}} min",
+    en: "Too many start requests; try again in {{minutes}} min",
+    ca: "Massa intents d'inici; torna-ho a provar d'aquí a {{minutes}} min",
+    pt: "Demasiados pedidos de início; tenta de novo dentro de {{minutes}} min",
+  },
+  invitation_required: {
+    es: "Necesitas una invitación para hacer el test",
+    en: "You need an invitation to take the test",
+    ca: "Necessites una invitació per fer el test",
+    pt: "Precisas de um convite para fazer o teste",
+  },
+  invitation_invalid: {
+    es: "Invitación no válida",
+    en: "Invalid invitation",
+    ca: "Invitació no vàlida",
+    pt: "Convite inválido",
+  },
+  invitation_used: {
+    es: "Esta invitación ya se ha usado",
+    en: "This invitation has already been used",
+    ca: "Aquesta invitació ja s'ha fet servir",
+    pt: "Este convite já foi usado",
+  },
+  invitation_expired: {
+    es: "La invitación ha caducado",
+    en: "The invitation has expired",
+    ca: "La invitació ha caducat",
+    pt: "O convite expirou",
+  },
+  template_not_found: {
+    es: "Plantilla no encontrada",
+    en: "Test template not found",
+    ca: "Plantilla no trobada",
+    pt: "Modelo de teste não encontrado",
+  },
+  no_sources: {
+    es: "Restaurante sin fuentes activas",
+    en: "This restaurant has no active sources",
+    ca: "Restaurant sense fonts actives",
+    pt: "Restaurante sem fontes ativas",
+  },
+  language_unavailable: {
+    es: "El test solo está disponible en español en este momento",
+    en: "The test is only available in Spanish at the moment",
+    ca: "De moment el test només està disponible en castellà",
+    pt: "De momento o teste só está disponível em espanhol",
+  },
+  types_unavailable: {
+    es: "Este test no está disponible en este momento",
+    en: "This test is not available at the moment",
+    ca: "Aquest test no està disponible en aquest moment",
+    pt: "Este teste não está disponível neste momento",
+  },
+  practice_staff_only: {
+    es: "La práctica es solo para el personal del restaurante",
+    en: "Practice mode is for restaurant staff only",
+    ca: "La pràctica és només per al personal del restaurant",
+    pt: "O modo de prática é só para o pessoal do restaurante",
+  },
+  unknown_source: {
+    es: "Fuente desconocida o deshabilitada",
+    en: "Unknown or disabled source",
+    ca: "Font desconeguda o desactivada",
+    pt: "Fonte desconhecida ou desativada",
+  },
+  template_no_sources: {
+    es: "La plantilla no tiene fuentes activas en este restaurante",
+    en: "The template has no active sources in this restaurant",
+    ca: "La plantilla no té fonts actives en aquest restaurant",
+    pt: "O modelo não tem fontes ativas neste restaurante",
+  },
+  sources_failed: {
+    es: "No se pudo preparar ninguna fuente",
+    en: "None of the sources could be prepared",
+    ca: "No s'ha pogut preparar cap font",
+    pt: "Não foi possível preparar nenhuma fonte",
+  },
+  not_enough_approved: {
+    es: "No hay suficientes preguntas aprobadas para este test",
+    en: "There are not enough approved questions for this test",
+    ca: "No hi ha prou preguntes aprovades per a aquest test",
+    pt: "Não há perguntas aprovadas suficientes para este teste",
+  },
+  generation_failed: {
+    es: "Fallo al generar preguntas con IA",
+    en: "Failed to generate questions",
+    ca: "Error en generar les preguntes",
+    pt: "Falha ao gerar as perguntas",
+  },
+  start_failed: {
+    es: "No se pudo iniciar el test",
+    en: "The test could not be started",
+    ca: "No s'ha pogut iniciar el test",
+    pt: "Não foi possível iniciar o teste",
+  },
+  invalid_attempt_token: {
+    es: "Token de intento inválido o caducado",
+    en: "Invalid or expired attempt token",
+    ca: "Token d'intent no vàlid o caducat",
+    pt: "Token de tentativa inválido ou expirado",
+  },
+  attempt_not_found: {
+    es: "Intento no encontrado",
+    en: "Attempt not found",
+    ca: "Intent no trobat",
+    pt: "Tentativa não encontrada",
+  },
+  invalid_question: {
+    es: "Pregunta inválida",
+    en: "Invalid question",
+    ca: "Pregunta no vàlida",
+    pt: "Pergunta inválida",
+  },
+  already_finished: {
+    es: "El test ya está finalizado",
+    en: "The test has already finished",
+    ca: "El test ja està finalitzat",
+    pt: "O teste já terminou",
+  },
+  time_over: {
+    es: "El tiempo del test ha terminado",
+    en: "The time for this test is over",
+    ca: "El temps del test s'ha acabat",
+    pt: "O tempo do teste terminou",
+  },
+  invalid_choice: {
+    es: "Responde con A, B, C o D.",
+    en: "Answer with A, B, C or D.",
+    ca: "Respon amb A, B, C o D.",
+    pt: "Responde com A, B, C ou D.",
+  },
+  invalid_truefalse: {
+    es: "Responde con A (verdadero) o B (falso).",
+    en: "Answer with A (true) or B (false).",
+    ca: "Respon amb A (vertader) o B (fals).",
+    pt: "Responde com A (verdadeiro) ou B (falso).",
+  },
+  invalid_choices: {
+    es: "Marca una o varias opciones por su letra.",
+    en: "Select one or more options by their letter.",
+    ca: "Marca una o diverses opcions per la seva lletra.",
+    pt: "Marca uma ou várias opções pela sua letra.",
+  },
+  invalid_order: {
+    es: "Ordena todas las opciones, sin repetir ninguna.",
+    en: "Put all the options in order, without repeating any.",
+    ca: "Ordena totes les opcions, sense repetir-ne cap.",
+    pt: "Ordena todas as opções, sem repetir nenhuma.",
+  },
+  invalid_number: {
+    es: "Responde con un número.",
+    en: "Answer with a number.",
+    ca: "Respon amb un número.",
+    pt: "Responde com um número.",
+  },
+  question_time_over: {
+    es: "Tiempo agotado para esta pregunta",
+    en: "Time is up for this question",
+    ca: "S'ha esgotat el temps per a aquesta pregunta",
+    pt: "O tempo para esta pergunta esgotou-se",
+  },
+  answer_failed: {
+    es: "Fallo al registrar la respuesta",
+    en: "The answer could not be saved",
+    ca: "No s'ha pogut registrar la resposta",
+    pt: "Não foi possível registar a resposta",
+  },
+  missing_answers: {
+    es: "Aún faltan preguntas por responder",
+    en: "Some questions are still unanswered",
+    ca: "Encara falten preguntes per respondre",
+    pt: "Ainda faltam perguntas por responder",
+  },
+  finish_failed: {
+    es: "Fallo al finalizar",
+    en: "The test could not be finished",
+    ca: "No s'ha pogut finalitzar",
+    pt: "Não foi possível terminar o teste",
+  },
+};
+
+// Mensaje traducido; si falta la traducción se usa el español
+export function t(lang, key, vars = {}) {
+  if (!Object.hasOwn(MESSAGES, key)) return key;
+  const entry = MESSAGES[key];
+  const text = (Object.hasOwn(entry, lang) ? entry[lang] : null) ?? entry[DEFAULT_LANGUAGE];
+  return text.replace(/\{\{(\w+)\}\}/g, (_, name) => String(vars[name] ?? ""));
+}
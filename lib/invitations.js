@@ -0,0 +1,149 @@
+// lib/invitations.js
+import crypto from "crypto";
+import { createJsonFile, dictionary } from "./store.js";
+import { ATTEMPT_MODES, normalizeDni } from "./policy.js";
+import { resolveLanguage } from "./i18n.js";
+import { validateDocument } from "./privacy.js";
+
+// Horas de validez de una invitación si no se indica otra cosa
+const INVITATION_TTL_H = Number(process.env.INVITATION_TTL_H || 72);
+
+export const INVITATION_STATUSES = ["pending", "started", "completed", "expired", "revoked"];
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Valida (y normaliza) los datos de una invitación nueva
+export function validateInvitation(input = {}) {
+  const candidateName = String(input.candidateName || "").trim();
+  if (candidateName.length < 3) return { error: "Nombre y apellidos inválidos" };
+  const doc = validateDocument(input.dni);
+  if (doc.error) return { error: doc.error };
+  const email = input.email ? String(input.email).trim() : null;
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { error: "Email inválido" };
+  const language = input.language ? resolveLanguage(input.language) : null;
+  if (input.language && !language) return { error: "Idioma no soportado" };
+  // "practice": invitación para que el personal practique
+  const mode = input.mode ?? "exam";
+  if (!ATTEMPT_MODES.includes(mode)) return { error: `Modo no soportado (${ATTEMPT_MODES.join(", ")})` };
+
+  let expiresAt;
+  if (input.expiresAt) {
+    const ms = Date.parse(input.expiresAt);
+    if (!Number.isFinite(ms) || ms <= Date.now()) return { error: "expiresAt debe ser una fecha futura" };
+    expiresAt = new Date(ms).toISOString();
+  } else {
+    const hours = Number(input.expiresInHours ?? INVITATION_TTL_H);
+    if (!Number.isFinite(hours) || hours <= 0) return { error: "expiresInHours debe ser un número positivo" };
+    expiresAt = new Date(Date.now() + hours * 3600 * 1000).toISOString();
+  }
+
+  return {
+    value: {
+      candidateName,
+      dni: doc.value.dni,
+      documentType: doc.value.documentType,
+      email,
+      role: input.role ? String(input.role).trim().slice(0, 80) : null,
+      templateId: input.templateId ? String(input.templateId) : null,
+      restaurantId: input.restaurantId ? String(input.restaurantId) : null,
+      language,
+      mode,
+      expiresAt,
+    },
+  };
+}
+
+// Estado según las fechas: revocada, completada, empezada, caducada o pendiente
+export function invitationStatus(inv, now = Date.now()) {
+  if (inv.revokedAt) return "revoked";
+  if (inv.completedAt) return "completed";
+  if (inv.startedAt) return "started";
+  if (Date.parse(inv.expiresAt) <= now) return "expired";
+  return "pending";
+}
+
+// Lo que se devuelve por la API (nunca el hash del token)
+const view = (inv) => {
+  const { tokenHash: _h, ...rest } = inv;
+  return { ...rest, status: invitationStatus(inv) };
+};
+
+// ---------------------------------------------------------------------------
+// Invitaciones de RRHH (DATA_DIR/invitations.json). Cada una lleva los datos del
+// candidato y un token de un solo uso que caduca; solo se guarda su hash, así
+// que el token se entrega una única vez, al crearla.
+// { [id]: { candidateName, dni, documentType, email, role, templateId, restaurantId, language, mode,
+//           tokenHash, createdAt, createdBy, expiresAt, startedAt, attemptId,
+//           completedAt, revokedAt } }
+// ---------------------------------------------------------------------------
+export function createInvitationStore({ file = "invitations.json" } = {}) {
+  const jsonFile = createJsonFile(file, {});
+  let invitations = null;
+
+  async function load() {
+    if (!invitations) invitations = dictionary(await jsonFile.read());
+    return invitations;
+  }
+  const persist = () => jsonFile.save(invitations);
+
+  async function update(id, patch) {
+    const inv = (await load())[id];
+    if (!inv) return null;
+    Object.assign(inv, patch);
+    await persist();
+    return view(inv);
+  }
+
+  return {
+    // Devuelve { invitation, token }: el token en claro solo sale aquí
+    async create(data, { createdBy = null } = {}) {
+      const id = crypto.randomUUID();
+      const token = crypto.randomBytes(24).toString("base64url");
+      const inv = { ...data, tokenHash: hashToken(token), createdAt: new Date().toISOString(), createdBy };
+      (await load())[id] = inv;
+      await persist();
+      return { invitation: { id, ...view(inv) }, token };
+    },
+    async list({ status, dni } = {}) {
+      const all = await load();
+      return Object.entries(all)
+        .map(([id, inv]) => ({ id, ...view(inv) }))
+        .filter((inv) => !status || inv.status === status)
+        .filter((inv) => !dni || normalizeDni(inv.dni) === normalizeDni(dni))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+    async get(id) {
+      const inv = (await load())[id];
+      return inv ? { id, ...view(inv) } : null;
+    },
+    async findByToken(token) {
+      if (!token) return null;
+      const hash = hashToken(token);
+      for (const [id, inv] of Object.entries(await load())) {
+        if (inv.tokenHash === hash) return { id, ...view(inv) };
+      }
+      return null;
+    },
+    // El token queda gastado en cuanto el intento se crea
+    markStarted(id, attemptId) {
+      return update(id, { startedAt: new Date().toISOString(), attemptId });
+    },
+    markCompleted(id) {
+      return update(id, { completedAt: new Date().toISOString() });
+    },
+    async revoke(id) {
+      const inv = (await load())[id];
+      if (!inv) return null;
+      if (inv.startedAt) return { error: "La invitación ya se ha usado" };
+      return { value: await update(id, { revokedAt: new Date().toISOString() }) };
+    },
+    // Borrado RGPD: elimina todas las invitaciones de un DNI y dice cuántas había
+    async removeByDni(dni) {
+      const all = await load();
+      const ids = Object.keys(all).filter((id) => normalizeDni(all[id].dni) === normalizeDni(dni));
+      for (const id of ids) delete all[id];
+      if (ids.length) await persist();
+      return ids.length;
+    },
+  };
+}
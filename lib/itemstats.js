@@ -0,0 +1,119 @@
+// lib/itemstats.js
+import { typeOf, levelOf, chosenOptions, scoreAnswer } from "./questions.js";
+import { isPractice } from "./policy.js";
+
+// Respuestas mínimas de una pregunta para marcarla o sugerirle nivel
+const ITEM_STATS_MIN_N = Number(process.env.ITEM_STATS_MIN_N || 10);
+// Fracción de intentos en cada extremo para la discriminación (el 27 % clásico)
+const GROUP_FRACTION = 0.27;
+
+const round2 = (x) => Math.round(x * 100) / 100;
+const toLetter = (i) => String.fromCharCode(65 + i);
+
+// ---------------------------------------------------------------------------
+// Estadísticas de ítem sobre los intentos finalizados (las prácticas no cuentan):
+//   p              proporción de acierto (media del crédito 0–1)
+//   options        cuántos marcaron cada opción: los distractores que engañan
+//                  y los que no elige nadie
+//   discrimination p en el 27 % de intentos con mejor nota − p en el 27 % peor;
+//                  cerca de 0 (o negativa) = no separa a los buenos de los flojos
+// Cada ítem es una pregunta del pool; en el intento su id es `${fuente}__${id}`.
+// ---------------------------------------------------------------------------
+
+// Nivel que corresponde a la proporción de acierto observada
+export function levelForP(p) {
+  if (p >= 0.75) return "facil";
+  if (p >= 0.45) return "media";
+  return "dificil";
+}
+
+// Filtros: restaurantId, source, since (finishedAt desde), minN
+export function computeItemStats(allAttempts, { restaurantId, source, since, minN = ITEM_STATS_MIN_N } = {}) {
+  const finished = allAttempts
+    .filter((a) => a.finishedAt && a.result && !isPractice(a))
+    .filter((a) => !restaurantId || a.restaurantId === restaurantId)
+    .filter((a) => !since || a.finishedAt >= new Date(since).toISOString());
+
+  // Grupos extremos por nota global
+  const ranked = [...finished].sort((a, b) => (a.result.porcentaje ?? 0) - (b.result.porcentaje ?? 0));
+  const groupSize = Math.floor(ranked.length * GROUP_FRACTION);
+  const lower = new Set(ranked.slice(0, groupSize));
+  const upper = new Set(groupSize ? ranked.slice(-groupSize) : []);
+
+  const items = new Map();
+  for (const attempt of finished) {
+    for (const q of attempt.questions) {
+      if (source && q.source !== source) continue;
+      let it = items.get(q.id);
+      if (!it) {
+        it = { q, n: 0, credit: 0, omitted: 0, picks: [], upper: [0, 0], lower: [0, 0] };
+        items.set(q.id, it);
+      }
+      it.q = q; // el texto más reciente
+      const ans = attempt.answers.find((a) => a.questionId === q.id);
+      const credit = scoreAnswer(q, ans);
+      const picked = chosenOptions(q, ans);
+      it.n++;
+      it.credit += credit;
+      if (!ans || ans.late || ans.choiceIndex === -1) it.omitted++;
+      for (const i of picked) it.picks[i] = (it.picks[i] || 0) + 1;
+      if (upper.has(attempt)) it.upper = [it.upper[0] + 1, it.upper[1] + credit];
+      if (lower.has(attempt)) it.lower = [it.lower[0] + 1, it.lower[1] + credit];
+    }
+  }
+
+  const out = [...items.values()].map((it) => describeItem(it, minN));
+  out.sort((a, b) => b.flags.length - a.flags.length || b.n - a.n);
+  return { attempts: finished.length, minN, items: out };
+}
+
+function describeItem({ q, n, credit, omitted, picks, upper, lower }, minN) {
+  const type = typeOf(q);
+  const p = round2(credit / n);
+  const answered = n - omitted;
+  const discrimination = upper[0] && lower[0] ? round2(upper[1] / upper[0] - lower[1] / lower[0]) : null;
+
+  // Frecuencia de cada opción (solo en las de elegir)
+  let options = null;
+  if (["single", "truefalse", "multi"].includes(type)) {
+    const correct = new Set(type === "multi" ? q.correctIndexes : [q.correctIndex]);
+    options = q.options.map((text, i) => ({
+      letter: toLetter(i),
+      text,
+      correct: correct.has(i),
+      count: picks[i] || 0,
+      share: answered ? round2((picks[i] || 0) / answered) : 0,
+    }));
+  }
+
+  const flags = [];
+  const enough = n >= minN;
+  if (enough) {
+    if (p >= 0.9) flags.push("demasiado_facil");
+    if (p <= 0.2) flags.push("demasiado_dificil");
+    if (discrimination !== null && discrimination < 0) flags.push("discrimina_al_reves");
+    else if (discrimination !== null && discrimination < 0.2) flags.push("discrimina_poco");
+    // Un distractor que se elige más que la correcta suele indicar una pregunta ambigua
+    if (options) {
+      const topCorrect = Math.max(...options.filter((o) => o.correct).map((o) => o.count));
+      if (options.some((o) => !o.correct && o.count > topCorrect)) flags.push("distractor_confuso");
+    }
+  }
+
+  const [source, ...rest] = q.id.split("__");
+  return {
+    itemId: q.id,
+    questionId: rest.length ? rest.join("__") : q.id,
+    source: q.source ?? source,
+    type,
+    level: levelOf(q),
+    suggestedLevel: enough ? levelForP(p) : null,
+    prompt: q.prompt,
+    n,
+    omitted,
+    p,
+    discrimination,
+    options,
+    flags,
+  };
+}
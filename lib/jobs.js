@@ -0,0 +1,85 @@
+// lib/jobs.js
+import crypto from "crypto";
+import { EventEmitter } from "events";
+
+// Minutos que se conserva un trabajo terminado para poder consultar su resultado
+const JOB_TTL_MIN = Number(process.env.JOB_TTL_MIN || 30);
+
+// ---------------------------------------------------------------------------
+// Trabajos de arranque de test en segundo plano (solo en memoria).
+// Cada cambio se publica a los suscriptores (stream SSE de progreso).
+// Fases por fuente: en_cola → descargando → extrayendo → generando → listo | error
+// ---------------------------------------------------------------------------
+export function createJobRegistry({ ttlMs = JOB_TTL_MIN * 60 * 1000 } = {}) {
+  const jobs = new Map();
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  // Copia: los suscriptores nunca tocan el objeto interno
+  const view = (job) => structuredClone(job);
+
+  function touch(job) {
+    job.updatedAt = new Date().toISOString();
+    events.emit(job.id, view(job));
+  }
+
+  const timer = setInterval(() => {
+    const cutoff = Date.now() - ttlMs;
+    for (const [id, job] of jobs) {
+      if (job.status !== "running" && Date.parse(job.updatedAt) < cutoff) jobs.delete(id);
+    }
+  }, 60 * 1000);
+  timer.unref();
+
+  return {
+    create(sourceKeys = []) {
+      const now = new Date().toISOString();
+      const job = {
+        id: crypto.randomUUID(),
+        status: "running", // running | done | failed
+        stage: "preparando",
+        sources: Object.fromEntries(sourceKeys.map((k) => [k, { stage: "en_cola" }])),
+        createdAt: now,
+        updatedAt: now,
+        httpStatus: null,
+        result: null,
+        error: null,
+      };
+      jobs.set(job.id, job);
+      return view(job);
+    },
+    get(id) {
+      const job = jobs.get(id);
+      return job ? view(job) : null;
+    },
+    stage(id, stage) {
+      const job = jobs.get(id);
+      if (!job) return;
+      job.stage = stage;
+      touch(job);
+    },
+    sourceStage(id, key, stage, detail = {}) {
+      const job = jobs.get(id);
+      if (!job) return;
+      job.sources[key] = { ...job.sources[key], ...detail, stage };
+      touch(job);
+    },
+    // `body` es lo que habría devuelto el start-test síncrono con `httpStatus`
+    finish(id, httpStatus, body) {
+      const job = jobs.get(id);
+      if (!job) return;
+      const ok = httpStatus < 400;
+      job.status = ok ? "done" : "failed";
+      job.stage = ok ? "listo" : "error";
+      job.httpStatus = httpStatus;
+      if (ok) job.result = body;
+      else job.error = body;
+      touch(job);
+    },
+    // Devuelve la función para darse de baja
+    subscribe(id, fn) {
+      events.on(id, fn);
+      return () => events.off(id, fn);
+    },
+  };
+}
@@ -0,0 +1,160 @@
+// lib/llm.js
+import OpenAI from "openai";
+import { generateOfflineQuestions } from "./offline.js";
+
+// ---------------------------------------------------------------------------
+// Proveedores de LLM intercambiables (LLM_PROVIDER):
+//   openai     → API de OpenAI (Responses API con json_schema)
+//   compatible → cualquier endpoint compatible con OpenAI (Ollama, vLLM,
+//                llama.cpp, LM Studio…) vía Chat Completions; LLM_BASE_URL
+//   offline    → generador determinista sin red a partir del propio texto
+// Comunes: LLM_MODEL, LLM_TEMPERATURE, LLM_API_KEY (o OPENAI_API_KEY)
+// ---------------------------------------------------------------------------
+export const PROVIDERS = ["openai", "compatible", "offline"];
+
+function readConfig() {
+  const provider = (process.env.LLM_PROVIDER || "openai").trim().toLowerCase();
+  const temperature = process.env.LLM_TEMPERATURE;
+  return {
+    provider,
+    model: (process.env.LLM_MODEL || (provider === "openai" ? "gpt-4o-mini" : "")).trim(),
+    temperature: temperature === undefined || temperature === "" ? undefined : Number(temperature),
+    baseURL: (process.env.LLM_BASE_URL || "").trim() || undefined,
+    apiKey: (process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || "").trim(),
+  };
+}
+
+function createOpenAIProvider({ model, temperature, baseURL, apiKey }) {
+  const client = new OpenAI({ apiKey, baseURL });
+  return {
+    name: "openai",
+    model,
+    async completeJson({ system, user, schema, name }) {
+      const resp = await client.responses.create({
+        model,
+        ...(temperature !== undefined ? { temperature } : {}),
+        input: [
+          { role: "system", content: system },
+          { role: "user", content: user },
+        ],
+        text: { format: { type: "json_schema", name, schema } },
+      });
+
+      let text = "";
+      if (resp.output_text) text = resp.output_text;
+      else if (resp.output?.[0]?.content?.[0]?.text) text = resp.output[0].content[0].text;
+      else if (resp.content?.[0]?.text) text = resp.content[0].text;
+
+      const u = resp.usage || {};
+      return {
+        text,
+        usage: { inputTokens: u.input_tokens || 0, outputTokens: u.output_tokens || 0, totalTokens: u.total_tokens || 0 },
+      };
+    },
+  };
+}
+
+function createCompatibleProvider({ model, temperature, baseURL, apiKey }) {
+  if (!baseURL) throw new Error("LLM_BASE_URL es obligatorio con LLM_PROVIDER=compatible");
+  if (!model) throw new Error("LLM_MODEL es obligatorio con LLM_PROVIDER=compatible");
+  // Muchos servidores locales no piden clave, pero el SDK exige una
+  const client = new OpenAI({ apiKey: apiKey || "local", baseURL });
+  let schemaSupported = true;
+
+  return {
+    name: "compatible",
+    model,
+    async completeJson({ system, user, schema, name }) {
+      const messages = [
+        { role: "system", content: system },
+        { role: "user", content: user },
+      ];
+      const base = { model, messages, ...(temperature !== undefined ? { temperature } : {}) };
+      let resp;
+      try {
+        resp = await client.chat.completions.create({
+          ...base,
+          response_format: schemaSupported
+            ? { type: "json_schema", json_schema: { name, schema } }
+            : { type: "json_object" },
+        });
+      } catch (e) {
+        // Servidores sin json_schema: se reintenta en modo JSON libre con el esquema en el prompt
+        if (!schemaSupported || e?.status !== 400) throw e;
+        schemaSupported = false;
+        console.warn("[llm] el endpoint no admite json_schema; usando json_object");
+        resp = await client.chat.completions.create({
+          ...base,
+          messages: [
+            { role: "system", content: `${system}\n\nResponde SOLO con JSON que cumpla este esquema:\n${JSON.stringify(schema)}` },
+            messages[1],
+          ],
+          response_format: { type: "json_object" },
+        });
+      }
+      const u = resp.usage || {};
+      return {
+        text: resp.choices?.[0]?.message?.content || "",
+        usage: { inputTokens: u.prompt_tokens || 0, outputTokens: u.completion_tokens || 0, totalTokens: u.total_tokens || 0 },
+      };
+    },
+  };
+}
+
+function createOfflineProvider() {
+  return {
+    name: "offline",
+    model: "offline-cloze",
+    deterministic: true,
+    // No hay prompt: las preguntas salen directamente del texto
+    async generateQuestions(args) {
+      return { questions: generateOfflineQuestions(args), usage: { inputTokens: 0, outputTokens: 0, totalTokens: 0 } };
+    },
+  };
+}
+
+// Consumo y presupuesto (lib/usage.js); sin contador no se limita nada
+let meter = null;
+export function setUsageMeter(usageMeter) {
+  meter = usageMeter;
+}
+
+// Cada llamada comprueba antes el presupuesto y apunta después los tokens.
+// El offline no cuesta nada y no se cuenta.
+function metered(provider) {
+  if (!provider.completeJson) return provider;
+  return {
+    ...provider,
+    async completeJson(args) {
+      await meter?.assertAvailable();
+      const out = await provider.completeJson(args);
+      await meter?.record(out.usage, { model: `${provider.name}:${provider.model}` });
+      return out;
+    },
+  };
+}
+
+let cached = null;
+
+// Proveedor configurado (se crea al primer uso: sin clave no falla al arrancar)
+export function getProvider() {
+  if (cached) return cached;
+  const cfg = readConfig();
+  if (!PROVIDERS.includes(cfg.provider)) {
+    throw new Error(`LLM_PROVIDER desconocido (${cfg.provider}); usa ${PROVIDERS.join(", ")}`);
+  }
+  if (cfg.provider === "offline") cached = createOfflineProvider();
+  else if (cfg.provider === "compatible") cached = metered(createCompatibleProvider(cfg));
+  else {
+    if (!cfg.apiKey) throw new Error("Falta OPENAI_API_KEY (o LLM_API_KEY) para LLM_PROVIDER=openai");
+    cached = metered(createOpenAIProvider(cfg));
+  }
+  console.log(`[llm] proveedor=${cached.name} · modelo=${cached.model}`);
+  return cached;
+}
+
+// Para /health: qué se usaría, sin instanciar nada
+export function providerInfo() {
+  const { provider, model, temperature, baseURL } = readConfig();
+  return { provider, model: provider === "offline" ? "offline-cloze" : model, temperature: temperature ?? null, baseURL: baseURL ?? null };
+}
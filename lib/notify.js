@@ -0,0 +1,205 @@
+// lib/notify.js
+import nodemailer from "nodemailer";
+import { createJsonFile } from "./store.js";
+import { protectRecord } from "./privacy.js";
+
+export const EVENTS = ["test.started", "test.finished", "test.passed", "test.failed"];
+// Un canal sin `events` solo recibe el resultado final
+export const DEFAULT_EVENTS = ["test.finished"];
+
+// Plantillas por defecto de los correos por evento ({{ruta.a.variable}})
+const HR_RESULT_TEXT =
+  "Candidato: {{nombre}} (DNI {{dni}})\n" +
+  "Puesto: {{puesto}}\n" +
+  "Plantilla: {{plantilla}}\n" +
+  "Puntuación: {{puntuacion}}\n" +
+  "Aprobado: {{aprobado}}\n" +
+  "Inicio: {{startedAt}} · Fin: {{finishedAt}}\n" +
+  "Intento: {{intentoId}}\n";
+const CANDIDATE_RESULT_TEXT =
+  "Hola {{nombre}}:\n\n" +
+  "Has terminado el test. Tu resultado: {{resultForStudent.score}} ({{resultForStudent.percent}}).\n\n" +
+  "Gracias por tu tiempo.\n";
+
+const DEFAULT_EMAIL = {
+  "test.started": {
+    hr: {
+      subject: "Test iniciado: {{nombre}}",
+      text:
+        "Candidato: {{nombre}} (DNI {{dni}})\n" +
+        "Puesto: {{puesto}}\n" +
+        "Plantilla: {{plantilla}}\n" +
+        "Inicio: {{startedAt}} · Límite: {{deadlineAt}}\n" +
+        "Preguntas: {{total_preguntas}}\n" +
+        "Intento: {{intentoId}}\n",
+    },
+    candidate: {
+      subject: "Has empezado el test",
+      text: "Hola {{nombre}}:\n\nHas empezado el test ({{total_preguntas}} preguntas). ¡Mucha suerte!\n",
+    },
+  },
+  "test.finished": {
+    hr: { subject: "Resultado test: {{nombre}} · {{puntuacion}}", text: HR_RESULT_TEXT },
+    candidate: { subject: "Tu resultado del test", text: CANDIDATE_RESULT_TEXT },
+  },
+  "test.passed": {
+    hr: { subject: "Aprobado: {{nombre}} · {{puntuacion}}", text: HR_RESULT_TEXT },
+    candidate: {
+      subject: "Has aprobado el test",
+      text: CANDIDATE_RESULT_TEXT.replace("Has terminado el test.", "¡Enhorabuena, has aprobado el test!"),
+    },
+  },
+  "test.failed": {
+    hr: { subject: "No aprobado: {{nombre}} · {{puntuacion}}", text: HR_RESULT_TEXT },
+    candidate: {
+      subject: "Tu resultado del test",
+      text: CANDIDATE_RESULT_TEXT.replace("Has terminado el test.", "Has terminado el test, pero esta vez no has llegado al aprobado."),
+    },
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Plantillas: sustituye {{a.b.c}} en strings (y recursivamente en objetos)
+// ---------------------------------------------------------------------------
+function lookup(vars, path) {
+  const v = path.split(".").reduce((o, k) => (o == null ? o : o[k]), vars);
+  if (v === true) return "Sí";
+  if (v === false) return "No";
+  return v ?? "";
+}
+
+export function render(template, vars) {
+  if (typeof template === "string") {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => String(lookup(vars, path)));
+  }
+  if (Array.isArray(template)) return template.map((t) => render(t, vars));
+  if (template && typeof template === "object") {
+    return Object.fromEntries(Object.entries(template).map(([k, v]) => [k, render(v, vars)]));
+  }
+  return template;
+}
+
+// Valida la lista de canales; devuelve { value } o { error }
+export function validateChannels(list) {
+  if (!Array.isArray(list)) return { error: "channels debe ser un array" };
+  const ids = new Set();
+  for (const [i, c] of list.entries()) {
+    if (!c || typeof c !== "object") return { error: `Canal ${i} inválido` };
+    if (!c.id || ids.has(c.id)) return { error: `Canal ${i}: id ausente o repetido` };
+    ids.add(c.id);
+    if (!["webhook", "email"].includes(c.type)) return { error: `Canal ${c.id}: type debe ser webhook o email` };
+    const events = c.events ?? DEFAULT_EVENTS;
+    if (!Array.isArray(events) || events.some((e) => !EVENTS.includes(e))) {
+      return { error: `Canal ${c.id}: events debe ser un subconjunto de ${EVENTS.join(", ")}` };
+    }
+    if (c.type === "webhook" && !/^https?:\/\//.test(String(c.url || ""))) {
+      return { error: `Canal ${c.id}: url inválida` };
+    }
+    if (c.type === "email" && !c.to) return { error: `Canal ${c.id}: falta "to" (email o "candidate")` };
+  }
+  return {
+    value: list.map((c) => ({ enabled: true, events: DEFAULT_EVENTS, ...c })),
+  };
+}
+
+// Transporte SMTP: SMTP_URL o SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS.
+// En local vale un SMTP de pruebas (MailHog, smtp4dev: SMTP_HOST=localhost SMTP_PORT=1025).
+function createTransport() {
+  if (process.env.SMTP_URL) return nodemailer.createTransport(process.env.SMTP_URL);
+  if (!process.env.SMTP_HOST) return null;
+  const port = Number(process.env.SMTP_PORT || 587);
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    ignoreTLS: process.env.SMTP_IGNORE_TLS === "1",
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || "" } : undefined,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Subsistema de notificaciones: canales configurables (DATA_DIR/channels.json,
+// semilla en NOTIFY_CHANNELS como JSON). Los webhooks pasan por la cola
+// persistente; los correos se envían al momento y los fallos se registran.
+// ---------------------------------------------------------------------------
+export function createNotifier({ webhookQueue, file = "channels.json" } = {}) {
+  let seed = [];
+  try {
+    seed = validateChannels(JSON.parse(process.env.NOTIFY_CHANNELS || "[]")).value || [];
+  } catch {
+    console.error("[notify] NOTIFY_CHANNELS no es JSON válido; se ignora.");
+  }
+  const jsonFile = createJsonFile(file, seed);
+  const transport = createTransport();
+  const from = process.env.SMTP_FROM || "Resto Test <no-reply@localhost>";
+  let channels = null;
+
+  async function load() {
+    if (!channels) channels = await jsonFile.read();
+    return channels;
+  }
+
+  async function sendEmail(channel, event, vars) {
+    if (!transport) throw new Error("SMTP no configurado");
+    const to = channel.to === "candidate" ? vars.email : channel.to;
+    if (!to) return { skipped: "sin destinatario" };
+    const defaults = DEFAULT_EMAIL[event][channel.to === "candidate" ? "candidate" : "hr"];
+    const info = await transport.sendMail({
+      from,
+      to,
+      subject: render(channel.subject || defaults.subject, vars),
+      text: render(channel.text || defaults.text, vars),
+    });
+    return { messageId: info.messageId };
+  }
+
+  async function dispatch(channel, event, vars) {
+    if (channel.type === "webhook") {
+      // Los webhooks salen con los datos personales según PII_OUTBOUND; los correos, en claro
+      const safe = protectRecord(vars, "outbound");
+      const body = channel.template ? render(channel.template, safe) : { evento: event, ...safe };
+      return { deliveryId: await webhookQueue.enqueue(channel.url, body, { event }) };
+    }
+    return sendEmail(channel, event, vars);
+  }
+
+  return {
+    async list() {
+      return load();
+    },
+    async replace(list) {
+      channels = list;
+      await jsonFile.save(channels);
+      return channels;
+    },
+    // Envía `event` a todos los canales suscritos; nunca lanza (ni aunque channels.json
+    // esté corrupto). Con una lista de eventos por orden de preferencia, cada canal recibe
+    // solo el primero al que esté suscrito (p. ej. ["test.passed", "test.finished"]: un
+    // aviso por canal, no dos)
+    async emit(events, vars, { only } = {}) {
+      const results = [];
+      try {
+        const all = await load();
+        let sent = 0;
+        for (const channel of all) {
+          if (!channel?.enabled || (only && channel.id !== only)) continue;
+          // channels.json editado a mano puede traer canales sin `events`: como al validarlos
+          const subscribed = Array.isArray(channel.events) ? channel.events : DEFAULT_EVENTS;
+          const event = [].concat(events).find((e) => subscribed.includes(e));
+          if (!event) continue;
+          sent++;
+          try {
+            results.push({ channel: channel.id, ok: true, ...(await dispatch(channel, event, { ...vars, evento: event })) });
+          } catch (e) {
+            console.error(`[notify] ERROR canal ${channel.id} (${event}):`, e?.message || e);
+            results.push({ channel: channel.id, ok: false, error: String(e?.message || e) });
+          }
+        }
+        if (sent) webhookQueue.processDue();
+      } catch (e) {
+        console.error(`[notify] ERROR emitiendo ${[].concat(events).join(", ")}:`, e?.message || e);
+      }
+      return results;
+    },
+  };
+}
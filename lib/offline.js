@@ -0,0 +1,170 @@
+// lib/offline.js
+import crypto from "crypto";
+import { LEVELS } from "./questions.js";
+
+// ---------------------------------------------------------------------------
+// Generador offline determinista: preguntas de completar (cloze) y de recordar
+// datos (cantidades, temperaturas, tiempos) sacadas literalmente del texto.
+// Mismo texto + mismos parámetros → mismas preguntas. Sin red ni API key.
+// ---------------------------------------------------------------------------
+
+const STOPWORDS = new Set(
+  (
+    "para pero porque como cuando donde desde hasta entre sobre según sin tras durante mediante " +
+    "este esta estos estas ese esa esos esas aquel aquella todo toda todos todas cada otro otra otros otras " +
+    "siempre nunca también tampoco además antes después mientras muy más menos mucho mucha muchos muchas " +
+    "debe deben puede pueden tiene tienen hace hacen será serán están estar haber sido siendo cualquier " +
+    "nuestro nuestra nuestros nuestras vuestro vuestra ellos ellas usted ustedes cliente clientes"
+  ).split(/\s+/)
+);
+
+// Cantidad con unidad: "16 °C", "200 g", "10 minutos", "3,5 cl"…
+const NUMBER_RE =
+  /(\d+(?:[.,]\d+)?)\s*(°\s?C|ºC|º|grados|gr|g|kg|ml|cl|litros|l|min|minutos|horas|h|segundos|seg|%|€|euros|unidades|uds|cm|mm)(?![\p{L}\d])/iu;
+
+// PRNG con semilla (mulberry32) para que todo sea reproducible
+function seeded(seed) {
+  let a = crypto.createHash("sha256").update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffleWith(rand, arr) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+function splitSentences(text) {
+  return String(text)
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((s) => s.replace(/\s+/g, " ").trim())
+    .filter((s) => s.length >= 40 && s.length <= 300 && s.split(" ").length >= 6);
+}
+
+const contentWords = (s) =>
+  (s.match(/\p{L}{5,}/gu) || []).filter((w) => !STOPWORDS.has(w.toLowerCase()));
+
+// Distractores numéricos: cerca del valor real en difícil, más lejos en fácil
+function numericDistractors(value, difficulty) {
+  const step = Math.max(1, Math.round(Math.abs(value) * (difficulty === "facil" ? 0.5 : difficulty === "media" ? 0.25 : 0.1)));
+  const candidates = [value + step, value - step, value + 2 * step, value - 2 * step, value * 2, value + 3 * step];
+  const out = [];
+  for (const c of candidates) {
+    const v = Number.isInteger(value) ? Math.round(c) : Math.round(c * 10) / 10;
+    if (v > 0 && v !== value && !out.includes(v)) out.push(v);
+    if (out.length === 3) break;
+  }
+  return out;
+}
+
+function buildNumeric(sentence, match, difficulty) {
+  const [whole, num, unit] = match;
+  const decimalComma = num.includes(",");
+  const value = Number(num.replace(",", "."));
+  const fmt = (v) => `${decimalComma ? String(v).replace(".", ",") : v} ${unit.trim()}`.trim();
+  const distractors = numericDistractors(value, difficulty).map(fmt);
+  if (distractors.length < 3) return null;
+  return {
+    kind: "dato",
+    answer: fmt(value),
+    distractors,
+    blanked: sentence.replace(whole, "_____"),
+  };
+}
+
+function buildCloze(sentence, vocabulary, rand) {
+  const words = contentWords(sentence);
+  if (!words.length) return null;
+  const answer = [...words].sort((a, b) => b.length - a.length || a.localeCompare(b))[0];
+  const lower = answer.toLowerCase();
+  const pool = vocabulary.filter(
+    (w) => w.toLowerCase() !== lower && Math.abs(w.length - answer.length) <= 3 && !sentence.toLowerCase().includes(w.toLowerCase())
+  );
+  const distractors = shuffleWith(rand, pool).slice(0, 3);
+  if (distractors.length < 3) return null;
+  return {
+    kind: "completar",
+    answer,
+    distractors,
+    blanked: sentence.replace(new RegExp(`(?<!\\p{L})${answer}(?!\\p{L})`, "u"), "_____"),
+  };
+}
+
+// Tipos que sabe hacer sin LLM (multi y ordering no)
+export const OFFLINE_TYPES = ["single", "truefalse", "numeric"];
+
+export function generateOfflineQuestions({ text, count, difficulty = "dificil", types = ["single"] }) {
+  const usable = types.filter((t) => OFFLINE_TYPES.includes(t));
+  if (!usable.length) {
+    throw new Error(`El generador offline no hace preguntas de tipo ${types.join(", ")} (solo ${OFFLINE_TYPES.join(", ")})`);
+  }
+  const sentences = splitSentences(text);
+  const vocabulary = [...new Set(sentences.flatMap(contentWords))];
+  const candidates = [];
+
+  sentences.forEach((sentence, i) => {
+    const rand = seeded(`${difficulty}|${i}|${sentence}`);
+    const numeric = sentence.match(NUMBER_RE);
+    const built = (numeric && buildNumeric(sentence, numeric, difficulty)) || buildCloze(sentence, vocabulary, rand);
+    if (!built || !built.blanked.includes("_____")) return;
+
+    const id = `off-${crypto.createHash("sha1").update(sentence).digest("hex").slice(0, 8)}`;
+    // Sin modelo no hay forma de medir el nivel: el pedido o, en "mixta", alternando
+    const level = LEVELS.includes(difficulty) ? difficulty : LEVELS[i % LEVELS.length];
+    const common = { id, level, explanation: `El manual lo indica así: «${sentence}»`, quote: sentence };
+    // Se van alternando los tipos permitidos que encajan con la frase; si no encaja
+    // ninguno (solo numeric y la frase no tiene cifras) se salta
+    const fits = usable.filter((t) => t !== "numeric" || built.kind === "dato");
+    if (!fits.length) return;
+    const type = fits[i % fits.length];
+
+    if (type === "numeric") {
+      candidates.push({
+        ...common,
+        type,
+        prompt: `Según el manual, ¿qué cifra completa la frase? «${built.blanked}»`,
+        options: [],
+        correctValue: Number(numeric[1].replace(",", ".")),
+        tolerance: 0,
+        unit: numeric[2].trim(),
+      });
+      return;
+    }
+    if (type === "truefalse") {
+      // La mitad (según la semilla) con un dato cambiado → falsa
+      const truthful = rand() < 0.5;
+      const shown = truthful ? built.answer : built.distractors[0];
+      candidates.push({
+        ...common,
+        type,
+        prompt: `Según el manual, ¿es correcta esta afirmación? «${built.blanked.replace("_____", shown)}»`,
+        options: ["Verdadero", "Falso"],
+        correctIndex: truthful ? 0 : 1,
+      });
+      return;
+    }
+
+    const options = shuffleWith(rand, [built.answer, ...built.distractors]);
+    candidates.push({
+      ...common,
+      prompt:
+        built.kind === "dato"
+          ? `Según el manual, ¿qué dato completa la frase? «${built.blanked}»`
+          : `Según el manual, ¿qué palabra completa la frase? «${built.blanked}»`,
+      options,
+      correctIndex: options.indexOf(built.answer),
+    });
+  });
+
+  // Repartidas a lo largo del texto para cubrir todo el fragmento
+  if (candidates.length <= count) return candidates;
+  return Array.from({ length: count }, (_, k) => candidates[Math.floor((k * candidates.length) / count)]);
+}
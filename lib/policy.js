@@ -0,0 +1,71 @@
+// lib/policy.js
+import { isPastDeadline } from "./timing.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// MAX_ATTEMPTS_PER_DNI=0 o RETAKE_COOLDOWN_HOURS=0 desactivan cada regla.
+// OPEN_IDLE_MIN: un intento sin límite de tiempo deja de bloquear el DNI tras ese
+// tiempo sin actividad (sigue contando como intento)
+export const POLICY = {
+  maxAttempts: Number(process.env.MAX_ATTEMPTS_PER_DNI ?? 3),
+  cooldownHours: Number(process.env.RETAKE_COOLDOWN_HOURS ?? 24),
+  openIdleMin: Number(process.env.OPEN_IDLE_MIN ?? 60),
+};
+
+// DNI comparable: mayúsculas y solo letras/números ("12.345.678-z" → "12345678Z")
+export function normalizeDni(dni) {
+  return String(dni || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+// Modos de intento: el examen de selección o la práctica (formación del personal)
+export const ATTEMPT_MODES = ["exam", "practice"];
+export const isPractice = (attempt) => attempt?.mode === "practice";
+
+// Entradas del historial (lib/history.js) que cuentan para la política: ni las
+// reseteadas por un admin ni las prácticas. Los abandonados cuentan.
+export function candidateHistory(entries) {
+  return entries
+    .filter((e) => !e.policyResetAt && !isPractice(e))
+    .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+}
+
+// Un intento sigue abierto si no se ha finalizado ni abandonado, no ha vencido su
+// plazo y, si no tiene plazo, ha tenido actividad hace poco
+export function isOpen(attempt, { now = Date.now(), policy = POLICY } = {}) {
+  if (attempt.finishedAt || attempt.abandonedAt || isPastDeadline(attempt, now)) return false;
+  if (attempt.deadlineAt || !(policy.openIdleMin > 0)) return true;
+  const last = Date.parse(attempt.updatedAt || attempt.startedAt);
+  return now - last <= policy.openIdleMin * 60 * 1000;
+}
+
+// `entries`: todo el historial del DNI (prácticas incluidas: no se arrancan dos
+// intentos a la vez de ningún modo). Con `openOnly` solo se mira eso.
+// Devuelve null si puede empezar, o { reason, status, error, retryAfterSec? }
+export function checkStartPolicy(entries, { now = Date.now(), policy = POLICY, openOnly = false } = {}) {
+  if (entries.some((a) => isOpen(a, { now, policy }))) {
+    return { reason: "open_attempt", status: 409, error: "Ya tienes un test en curso" };
+  }
+  if (openOnly) return null;
+  const history = candidateHistory(entries);
+  if (policy.maxAttempts > 0 && history.length >= policy.maxAttempts) {
+    return {
+      reason: "max_attempts",
+      status: 403,
+      error: `Has alcanzado el máximo de ${policy.maxAttempts} intentos`,
+    };
+  }
+  if (policy.cooldownHours > 0 && history.length) {
+    const last = history[history.length - 1];
+    const lastMs = Date.parse(last.finishedAt || last.startedAt);
+    const waitMs = lastMs + policy.cooldownHours * HOUR_MS - now;
+    if (waitMs > 0) {
+      return {
+        reason: "cooldown",
+        status: 429,
+        error: `Debes esperar ${Math.ceil(waitMs / HOUR_MS)} h antes de repetir el test`,
+        retryAfterSec: Math.ceil(waitMs / 1000),
+      };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,347 @@
+// lib/pool.js
+import crypto from "crypto";
+import { createJsonFile } from "./store.js";
+import { generateQuestionBank } from "./generate.js";
+import { chunkText, pickChunks } from "./chunk.js";
+import { DEFAULT_TYPES, LEVELS, parseNumber } from "./questions.js";
+import { BUDGET_EXCEEDED } from "./usage.js";
+
+const NUM_QUESTIONS = Number(process.env.NUM_QUESTIONS || 10);
+// Tamaño del pool por fuente: holgura para que dos tests no salgan iguales
+const POOL_SIZE = Number(process.env.POOL_SIZE || Math.max(NUM_QUESTIONS * 2, 20));
+// Fragmentos del manual que se usan en cada regeneración (los menos cubiertos primero)
+const CHUNKS_PER_POOL = Number(process.env.CHUNKS_PER_POOL || 4);
+// Horas tras las que un pool se renueva aunque el manual no cambie (0 = nunca):
+// así la rotación por fragmentos acaba cubriendo todo el manual
+const POOL_ROTATE_HOURS = Number(process.env.POOL_ROTATE_HOURS ?? 24);
+// Tope de preguntas servibles que acumula un pool al rotar: se descartan primero
+// los borradores más antiguos (las aprobadas no se descartan nunca)
+const POOL_MAX_SIZE = Number(process.env.POOL_MAX_SIZE || POOL_SIZE * 3);
+
+// ---------------------------------------------------------------------------
+// Pool de preguntas pre-generadas por fuente (DATA_DIR/question-pools.json)
+// { [key]: { url, title, textHash, difficulty, role, generatedAt, questions: [...],
+//           chunks: [{ index, section, pageStart, pageEnd }], coverage: { [index]: n } } }
+// El pool se regenera cuando cambia el hash del texto de la fuente y, cada
+// POOL_ROTATE_HOURS, con los fragmentos menos cubiertos; mientras el texto no cambie
+// las preguntas de rotaciones anteriores se conservan (hasta POOL_MAX_SIZE).
+// `key` identifica restaurante + fuente + parámetros de generación.
+//
+// Revisión humana: cada pregunta lleva `status` (draft | approved | rejected).
+// Al regenerar se conservan las revisadas: las aprobadas siguen aprobadas si el
+// texto no ha cambiado y vuelven a borrador si el manual cambió; las rechazadas
+// se guardan para no volver a servirlas.
+// ---------------------------------------------------------------------------
+export const QUESTION_STATUSES = ["draft", "approved", "rejected"];
+
+// Valida una edición de revisión: { prompt?, options?, correctIndex?, correctIndexes?,
+// correctValue?, tolerance?, unit?, explanation?, level? }. Lo que depende del tipo (nº de
+// opciones, rango de la correcta) se comprueba después sobre la pregunta ya editada.
+export function validateQuestionEdit(input = {}) {
+  const out = {};
+  if (input.prompt !== undefined) {
+    const prompt = String(input.prompt || "").trim();
+    if (prompt.length < 5) return { error: "Enunciado demasiado corto" };
+    out.prompt = prompt;
+  }
+  if (input.options !== undefined) {
+    const opts = Array.isArray(input.options) ? input.options.map((o) => String(o || "").trim()) : [];
+    if (opts.length > 6 || opts.some((o) => !o)) return { error: "Hasta 6 opciones, ninguna vacía" };
+    if (new Set(opts.map((o) => o.toLowerCase())).size !== opts.length) return { error: "Las opciones no pueden repetirse" };
+    out.options = opts;
+  }
+  if (input.explanation !== undefined) {
+    out.explanation = String(input.explanation || "").trim();
+  }
+  if (input.correctIndex !== undefined) {
+    const idx = Number(input.correctIndex);
+    if (!Number.isInteger(idx) || idx < 0) return { error: "correctIndex debe ser un entero desde 0" };
+    out.correctIndex = idx;
+  }
+  if (input.correctIndexes !== undefined) {
+    const list = Array.isArray(input.correctIndexes) ? input.correctIndexes.map(Number) : [];
+    if (!list.length || list.some((i) => !Number.isInteger(i) || i < 0)) {
+      return { error: "correctIndexes debe ser una lista de enteros desde 0" };
+    }
+    out.correctIndexes = [...new Set(list)].sort((a, b) => a - b);
+  }
+  if (input.correctValue !== undefined) {
+    const v = parseNumber(input.correctValue);
+    if (!Number.isFinite(v)) return { error: "correctValue debe ser un número" };
+    out.correctValue = v;
+  }
+  if (input.tolerance !== undefined) {
+    const tol = parseNumber(input.tolerance);
+    if (!(tol >= 0)) return { error: "tolerance debe ser un número mayor o igual que 0" };
+    out.tolerance = tol;
+  }
+  if (input.unit !== undefined) {
+    out.unit = String(input.unit || "").trim();
+  }
+  if (input.level !== undefined) {
+    if (!LEVELS.includes(input.level)) return { error: `level debe ser uno de: ${LEVELS.join(", ")}` };
+    out.level = input.level;
+  }
+  if (!Object.keys(out).length) {
+    return {
+      error: "Nada que actualizar (prompt, options, correctIndex, correctIndexes, correctValue, tolerance, unit, explanation o level)",
+    };
+  }
+  return { value: out };
+}
+
+const usable = (pool) => pool.questions.filter((q) => q.status !== "rejected");
+
+// Quita los borradores más antiguos (los primeros) hasta dejar `max` servibles
+function capDrafts(questions, max) {
+  let excess = questions.filter((q) => q.status !== "rejected").length - max;
+  return questions.filter((q) => !(excess > 0 && (q.status || "draft") === "draft" && excess--));
+}
+// Clave de pool: restaurante + fuente + dificultad + puesto (+ idioma si no es español)
+// (+ tipos de pregunta si no son solo A–D) (+ "practice": la práctica enseña las
+// respuestas, así que nunca comparte preguntas con los exámenes)
+export function poolKey(
+  restaurantId,
+  sourceKey,
+  { difficulty = "dificil", role = null, language = "es", types = DEFAULT_TYPES, mode = "exam" } = {}
+) {
+  let key = `${restaurantId}:${sourceKey}:${difficulty}:${role?.key || "general"}`;
+  if (language !== "es") key += `:${language}`;
+  if (types.join("+") !== DEFAULT_TYPES.join("+")) key += `:${types.join("+")}`;
+  if (mode === "practice") key += ":practice";
+  return key;
+}
+
+export function createQuestionPools({ file = "question-pools.json", size = POOL_SIZE } = {}) {
+  const jsonFile = createJsonFile(file, {});
+  const inFlight = new Map(); // key -> Promise (evita generar dos veces a la vez)
+  let pools = null;
+
+  async function load() {
+    if (!pools) pools = await jsonFile.read();
+    return pools;
+  }
+
+  async function generate(
+    key,
+    source,
+    { difficulty = "dificil", role = null, minSize = 0, language = "es", types = DEFAULT_TYPES, mode = "exam" } = {}
+  ) {
+    const { url, title, text, pageOffsets, hash } = source;
+    const count = Math.max(size, minSize);
+    const previous = (await load())[key];
+
+    // Cobertura acumulada por fragmento (se reinicia si el manual cambia)
+    const chunks = chunkText(source);
+    const coverage = previous?.textHash === hash ? { ...(previous.coverage || {}) } : {};
+    // Fragmentos casi vacíos (pies de página, restos) no dan para preguntas
+    const eligible = chunks.filter((c) => c.text.trim().length >= 200);
+    const candidates = eligible.length ? eligible : chunks;
+    const picked = pickChunks(candidates, coverage, Math.min(CHUNKS_PER_POOL, candidates.length));
+    const perChunk = Math.ceil(count / picked.length);
+
+    const roleKey = role?.key ?? null;
+    const textChanged = previous && previous.textHash !== hash;
+    // Con el mismo texto se conserva todo (también los borradores de otros fragmentos);
+    // si cambió, solo lo revisado: las aprobadas vuelven a borrador
+    const kept = (previous?.questions || [])
+      .filter((q) => !textChanged || q.status === "approved" || q.status === "rejected")
+      .map((q) => (textChanged && q.status === "approved" ? { ...q, status: "draft", staleSince: new Date().toISOString() } : q));
+
+    // Enunciados que no deben repetirse: los conservados y los de los pools
+    // hermanos (misma fuente con otra dificultad o puesto)
+    const prefix = key.split(":").slice(0, 2).join(":") + ":";
+    const existingPrompts = kept.map((q) => q.prompt);
+    for (const [k, p] of Object.entries(pools)) {
+      if (k !== key && k.startsWith(prefix)) existingPrompts.push(...usable(p).map((q) => q.prompt));
+    }
+
+    const bank = [];
+    let budgetError = null;
+    for (const chunk of picked) {
+      // Un fragmento que falla no tumba el pool: se sigue con los demás
+      try {
+        const questions = await generateQuestionBank({
+          text: chunk.text,
+          section: chunk.section,
+          pageOffsets: pageOffsets ? pageOffsets.map((o) => o - chunk.start) : null,
+          role,
+          count: perChunk,
+          difficulty,
+          existingPrompts: [...existingPrompts, ...bank.map((q) => q.prompt)],
+          language,
+          types,
+        });
+        coverage[chunk.index] = (coverage[chunk.index] || 0) + questions.length;
+        bank.push(...questions.map((q) => ({ ...q, section: chunk.section, chunk: chunk.index })));
+      } catch (err) {
+        // Presupuesto de IA agotado: se guarda lo generado hasta ahora
+        if (err.code === BUDGET_EXCEEDED) {
+          budgetError = err;
+          console.warn(`[pool] ${key}: ${err.message}; se para en el fragmento ${chunk.index}`);
+          break;
+        }
+        console.warn(`[pool] ${key} fragmento ${chunk.index} sin preguntas: ${err.message}`);
+      }
+    }
+    if (!bank.length) {
+      throw budgetError || new Error(`No se pudo generar ninguna pregunta válida para ${title || url}.`);
+    }
+    const pool = {
+      url,
+      title,
+      textHash: hash,
+      difficulty,
+      role: role ? { key: role.key, label: role.label, guidance: role.guidance } : null,
+      language,
+      types,
+      mode,
+      generatedAt: new Date().toISOString(),
+      chunks: chunks.map(({ text: _t, ...c }) => c),
+      coverage,
+      questions: capDrafts(
+        [...kept, ...bank.map((q) => ({ ...q, id: crypto.randomUUID().slice(0, 8), role: roleKey, status: "draft" }))],
+        Math.max(POOL_MAX_SIZE, count)
+      ),
+    };
+    (await load())[key] = pool;
+    await jsonFile.save(pools);
+    console.log(`[pool] ${key} regenerado · ${pool.questions.length} preguntas`);
+    return pool;
+  }
+
+  // Pool en caché al que recurrir sin presupuesto de IA: el propio (aunque esté
+  // desfasado o corto) o el de la misma fuente, en el mismo idioma, modo y con tipos
+  // permitidos, que más preguntas tenga
+  function cachedFallback(key, { language = "es", types = DEFAULT_TYPES, mode = "exam" } = {}) {
+    const own = pools[key];
+    if (own && usable(own).length) return own;
+    const prefix = key.split(":").slice(0, 2).join(":") + ":";
+    const siblings = Object.entries(pools)
+      .filter(([k, p]) => k !== key && k.startsWith(prefix) && usable(p).length)
+      .filter(([, p]) => (p.language ?? "es") === language && (p.mode ?? "exam") === mode)
+      .filter(([, p]) => (p.types ?? DEFAULT_TYPES).every((t) => types.includes(t)))
+      .map(([, p]) => p)
+      .sort((a, b) => usable(b).length - usable(a).length);
+    return siblings[0] || null;
+  }
+
+  function run(key, source, opts) {
+    if (!inFlight.has(key)) {
+      const p = generate(key, source, opts).finally(() => inFlight.delete(key));
+      inFlight.set(key, p);
+    }
+    return inFlight.get(key);
+  }
+
+  return {
+    // Devuelve el pool vigente; lo genera si no existe, si el texto ha cambiado
+    // o si se queda corto para lo que pide la plantilla (opts.minSize)
+    async ensure(key, source, opts = {}) {
+      const pool = (await load())[key];
+      const minSize = Math.max(opts.minSize || 0, 1);
+      if (pool && pool.textHash === source.hash && usable(pool).length >= minSize) {
+        // Toca rotar: se sirve el pool actual y los fragmentos siguientes se generan aparte
+        const stale = POOL_ROTATE_HOURS > 0 && Date.now() - Date.parse(pool.generatedAt) > POOL_ROTATE_HOURS * 3600000;
+        if (stale && !inFlight.has(key)) {
+          run(key, source, opts).catch((e) => console.warn(`[pool] ${key}: rotación fallida: ${e.message}`));
+        }
+        return pool;
+      }
+      try {
+        return await run(key, source, opts);
+      } catch (err) {
+        // Completar un pool corto puede no dar nada nuevo (manual pequeño): se sirve el que hay
+        if (err.code !== BUDGET_EXCEEDED) {
+          if (!pool || !usable(pool).length) throw err;
+          console.warn(`[pool] ${key}: ${err.message}; se sirve el pool actual (${usable(pool).length} preguntas)`);
+          return pool;
+        }
+        const fallback = cachedFallback(key, opts);
+        if (!fallback) throw err;
+        console.warn(`[pool] ${key}: ${err.message}; se usa el pool en caché (${usable(fallback).length} preguntas)`);
+        return fallback;
+      }
+    },
+    // Fuerza la regeneración (p. ej. cuando se actualiza un manual)
+    refresh(key, source, opts) {
+      return run(key, source, opts);
+    },
+    async status() {
+      const all = await load();
+      return Object.entries(all).map(([key, p]) => ({
+        key,
+        url: p.url,
+        title: p.title,
+        textHash: p.textHash,
+        difficulty: p.difficulty,
+        role: p.role,
+        language: p.language ?? "es",
+        types: p.types ?? DEFAULT_TYPES,
+        mode: p.mode ?? "exam",
+        generatedAt: p.generatedAt,
+        size: p.questions.length,
+        byStatus: Object.fromEntries(
+          QUESTION_STATUSES.map((st) => [st, p.questions.filter((q) => (q.status || "draft") === st).length])
+        ),
+        coverage: p.chunks
+          ? {
+              chunks: p.chunks.length,
+              covered: p.chunks.filter((c) => p.coverage?.[c.index]).length,
+              bySection: p.chunks.map((c) => ({ section: c.section, pages: [c.pageStart, c.pageEnd], questions: p.coverage?.[c.index] || 0 })),
+            }
+          : null,
+        generating: inFlight.has(key),
+      }));
+    },
+    // Listado para revisión; filtros: status, prefix (restaurante[:fuente])
+    async listQuestions({ status, prefix } = {}) {
+      const all = await load();
+      const out = [];
+      for (const [key, p] of Object.entries(all)) {
+        if (prefix && !key.startsWith(prefix)) continue;
+        for (const q of p.questions) {
+          if (status && (q.status || "draft") !== status) continue;
+          out.push({ ...q, status: q.status || "draft", pool: key, sourceTitle: p.title });
+        }
+      }
+      return out;
+    },
+    async getQuestion(id) {
+      const all = await load();
+      for (const [key, p] of Object.entries(all)) {
+        const q = p.questions.find((x) => x.id === id);
+        if (q) return { ...q, status: q.status || "draft", pool: key };
+      }
+      return null;
+    },
+    // Aplica cambios de revisión (texto, opciones, correcta, estado) y persiste
+    async updateQuestion(id, patch) {
+      const all = await load();
+      for (const [key, p] of Object.entries(all)) {
+        const q = p.questions.find((x) => x.id === id);
+        if (!q) continue;
+        Object.assign(q, patch, { id, reviewedAt: new Date().toISOString() });
+        await jsonFile.save(pools);
+        return { ...q, pool: key };
+      }
+      return null;
+    },
+    // Ajusta el nivel según las estadísticas: { [questionId]: level }. Devuelve los cambios
+    async calibrateLevels(levels) {
+      const all = await load();
+      const changed = [];
+      const calibratedAt = new Date().toISOString();
+      for (const [key, p] of Object.entries(all)) {
+        for (const q of p.questions) {
+          const level = levels[q.id];
+          if (!level || q.level === level) continue;
+          changed.push({ id: q.id, pool: key, from: q.level ?? null, to: level });
+          Object.assign(q, { level, levelCalibratedAt: calibratedAt });
+        }
+      }
+      if (changed.length) await jsonFile.save(pools);
+      return changed;
+    },
+  };
+}
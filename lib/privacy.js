@@ -0,0 +1,157 @@
+// lib/privacy.js
+import crypto from "crypto";
+import { normalizeDni } from "./policy.js";
+
+// ---------------------------------------------------------------------------
+// Documento de identidad: DNI y NIE con su letra de control; el pasaporte se
+// admite como alternativa (ALLOW_PASSPORT=0 lo desactiva) para candidatos sin
+// documento español.
+// ---------------------------------------------------------------------------
+const DNI_LETTERS = "TRWAGMYFPDXBNJZSQVHLCKE";
+const ALLOW_PASSPORT = process.env.ALLOW_PASSPORT !== "0";
+
+export const DOCUMENT_TYPES = ["dni", "nie", "passport"];
+
+const controlLetter = (digits) => DNI_LETTERS[Number(digits) % 23];
+
+// { value: { dni, documentType } } con el número normalizado, o { error, reason }
+// (reason: "format" si no parece un documento, "letter" si falla la letra)
+export function validateDocument(input) {
+  const dni = normalizeDni(input);
+  let m = /^(\d{8})([A-Z])$/.exec(dni);
+  if (m) {
+    return controlLetter(m[1]) === m[2]
+      ? { value: { dni, documentType: "dni" } }
+      : { error: "Letra del DNI incorrecta", reason: "letter" };
+  }
+  m = /^([XYZ])(\d{7})([A-Z])$/.exec(dni);
+  if (m) {
+    // El NIE se calcula como un DNI cambiando X/Y/Z por 0/1/2
+    return controlLetter("XYZ".indexOf(m[1]) + m[2]) === m[3]
+      ? { value: { dni, documentType: "nie" } }
+      : { error: "Letra del NIE incorrecta", reason: "letter" };
+  }
+  // Pasaporte: 6–12 letras y números, con al menos una de cada (un DNI sin letra no cuela)
+  if (ALLOW_PASSPORT && /^[A-Z0-9]{6,12}$/.test(dni) && /[A-Z]/.test(dni) && /\d/.test(dni)) {
+    return { value: { dni, documentType: "passport" } };
+  }
+  return { error: "DNI inválido", reason: "format" };
+}
+
+// ---------------------------------------------------------------------------
+// Seudonimización de datos personales (DNI, nombre, email) en dos ámbitos:
+//   PII_LOGS     → consola y registro de auditoría           (por defecto "mask")
+//   PII_OUTBOUND → webhook de resultados y canales webhook   (por defecto "plain")
+// Modos: plain (sin tocar) · mask ("******78Z", "A. P. L.", "a***@dominio.com") ·
+//        hash (seudónimo estable HMAC con PII_SECRET: el mismo DNI da siempre el
+//        mismo "p-…", así se puede cruzar sin exponer el dato).
+// Los correos al candidato y a RRHH llevan los datos en claro: son su destino.
+// ---------------------------------------------------------------------------
+export const PII_MODES = ["plain", "mask", "hash"];
+
+const PII = {
+  logs: piiMode("PII_LOGS", "mask"),
+  outbound: piiMode("PII_OUTBOUND", "plain"),
+};
+const PII_SECRET = piiSecret();
+// Sin secreto configurado se usa uno aleatorio: los seudónimos de un arranque no
+// sirven en el siguiente (la auditoría no se puede buscar ni borrar por DNI)
+export const PII_SECRET_STABLE = Boolean(
+  (process.env.PII_SECRET || process.env.JWT_SECRET || process.env.ADMIN_TOKEN || "").trim()
+);
+
+function piiMode(name, fallback) {
+  const mode = (process.env[name] || fallback).trim().toLowerCase();
+  if (PII_MODES.includes(mode)) return mode;
+  console.warn(`[privacy] ${name} desconocido (${mode}); usando ${fallback}`);
+  return fallback;
+}
+
+function piiSecret() {
+  const own = (process.env.PII_SECRET || "").trim();
+  if (own) return own;
+  const base = (process.env.JWT_SECRET || process.env.ADMIN_TOKEN || "").trim();
+  if (base) return crypto.createHash("sha256").update(`pii:${base}`).digest("hex");
+  console.warn(
+    "[privacy] sin PII_SECRET: los seudónimos cambian en cada arranque; la búsqueda por DNI en auditoría y el RGPD quedan desactivados"
+  );
+  return crypto.randomBytes(32).toString("hex");
+}
+
+const pseudonym = (kind, value) =>
+  "p-" + crypto.createHmac("sha256", PII_SECRET).update(`${kind}:${value}`).digest("hex").slice(0, 12);
+
+export function protectDni(dni, scope = "logs") {
+  if (!dni || PII[scope] === "plain") return dni;
+  const key = normalizeDni(dni);
+  if (PII[scope] === "hash") return pseudonym("dni", key);
+  return "*".repeat(Math.max(key.length - 3, 0)) + key.slice(-3);
+}
+
+// Seudónimo del DNI sea cual sea el modo: permite buscar y borrar por DNI lo que se
+// guardó protegido (auditoría)
+export const dniRef = (dni) => (dni ? pseudonym("dni", normalizeDni(dni)) : dni);
+
+export function protectName(name, scope = "logs") {
+  if (!name || PII[scope] === "plain") return name;
+  const clean = String(name).trim().toLowerCase().replace(/\s+/g, " ");
+  if (PII[scope] === "hash") return pseudonym("name", clean);
+  return String(name)
+    .trim()
+    .split(/\s+/)
+    .map((part) => `${part[0].toUpperCase()}.`)
+    .join(" ");
+}
+
+export function protectEmail(email, scope = "logs") {
+  if (!email || PII[scope] === "plain") return email;
+  const clean = String(email).trim().toLowerCase();
+  if (PII[scope] === "hash") return pseudonym("email", clean);
+  const [user, domain] = clean.split("@");
+  return `${user[0]}***@${domain || ""}`;
+}
+
+// Copia del objeto con los campos personales protegidos (nombres de la API y del webhook)
+export function protectRecord(record, scope = "outbound") {
+  if (!record || PII[scope] === "plain") return record;
+  const out = { ...record };
+  if ("dni" in out) out.dni = protectDni(out.dni, scope);
+  for (const key of ["nombre", "candidateName"]) if (key in out) out[key] = protectName(out[key], scope);
+  if ("email" in out) out.email = protectEmail(out.email, scope);
+  return out;
+}
+
+export const piiModes = () => ({ ...PII });
+
+// ---------------------------------------------------------------------------
+// Retención: RETENTION_DAYS=N borra los intentos cerrados hace más de N días, o
+// sin actividad desde entonces si nunca se cerraron (0 = sin límite)
+// ---------------------------------------------------------------------------
+export const RETENTION_DAYS = Number(process.env.RETENTION_DAYS || 0);
+
+export async function purgeExpiredAttempts(store, { days = RETENTION_DAYS, now = Date.now() } = {}) {
+  if (!(days > 0)) return [];
+  const cutoff = new Date(now - days * 24 * 3600 * 1000).toISOString();
+  const removed = [];
+  for (const a of await store.list()) {
+    const last = a.finishedAt || a.updatedAt || a.startedAt;
+    if (last && last < cutoff) {
+      await store.delete(a.id);
+      removed.push(a.id);
+    }
+  }
+  return removed;
+}
+
+// Barrido diario (no bloquea el cierre del proceso)
+export function scheduleRetention(store, intervalMs = 24 * 3600 * 1000) {
+  if (!(RETENTION_DAYS > 0)) return null;
+  const run = () =>
+    purgeExpiredAttempts(store)
+      .then((ids) => ids.length && console.log(`[retention] ${ids.length} intentos de más de ${RETENTION_DAYS} días eliminados`))
+      .catch((e) => console.error("[retention] ERROR en barrido:", e));
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,280 @@
+// lib/questions.js
+
+// ---------------------------------------------------------------------------
+// Tipos de pregunta. Cada tipo define su estructura, cómo se contesta en
+// /api/answer, cómo puntúa en /api/finish y cómo debe pintarla el frontend.
+//   single    → una sola correcta entre 4 (A–D)            { options, correctIndex }
+//   truefalse → verdadero/falso                             { options: [V, F], correctIndex }
+//   multi     → varias correctas, crédito parcial           { options (4–6), correctIndexes }
+//   ordering  → ordenar pasos; en el pool van en su orden   { options (3–6) }
+//               correcto y al servirlos se barajan          → { options, correctOrder }
+//   numeric   → cifra con tolerancia                        { correctValue, tolerance, unit }
+// Las preguntas sin `type` (anteriores a los tipos) son `single`.
+// ---------------------------------------------------------------------------
+export const QUESTION_TYPES = ["single", "truefalse", "multi", "ordering", "numeric"];
+export const DEFAULT_TYPES = ["single"];
+
+export const typeOf = (q) => q?.type || "single";
+
+// Nivel de dificultad de cada pregunta (lo asigna el generador, lo puede corregir
+// la revisión y lo recalibran las estadísticas). Sin nivel cuenta como "media".
+export const LEVELS = ["facil", "media", "dificil"];
+export const levelOf = (q) => (LEVELS.includes(q?.level) ? q.level : "media");
+const toLetter = (i) => String.fromCharCode(65 + i);
+
+function letterIndex(letter, count) {
+  const L = String(letter ?? "").trim().toUpperCase();
+  if (L.length !== 1) return -1;
+  const i = L.charCodeAt(0) - 65;
+  return i >= 0 && i < count ? i : -1;
+}
+
+// ["A", "c"] o "A, C" → [0, 2]; null si hay algo que no es una letra válida
+function letterList(input, count) {
+  const raw = Array.isArray(input) ? input : String(input ?? "").split(/[\s,;>]+/).filter(Boolean);
+  const out = raw.map((l) => letterIndex(l, count));
+  return out.includes(-1) ? null : out;
+}
+
+// "4,5" | "4.5" | 4.5 → 4.5; NaN si no es un número
+export function parseNumber(value) {
+  if (typeof value === "number") return value;
+  const s = String(value ?? "").trim().replace(/\s/g, "").replace(",", ".");
+  return /^-?\d+(\.\d+)?$/.test(s) ? Number(s) : NaN;
+}
+
+const validIndex = (i, count) => Number.isInteger(i) && i >= 0 && i < count;
+const filled = (opts) => opts.every((o) => String(o ?? "").trim());
+
+// Estructura de cada tipo; devuelve el motivo o null si es válida
+export function structuralError(q) {
+  if (!q || typeof q !== "object") return "no es un objeto";
+  if (!String(q.prompt || "").trim()) return "sin enunciado";
+  const opts = Array.isArray(q.options) ? q.options : [];
+
+  switch (typeOf(q)) {
+    case "single":
+      if (opts.length !== 4) return "no tiene 4 opciones";
+      if (!filled(opts)) return "opción vacía";
+      if (!validIndex(q.correctIndex, 4)) return "correctIndex inválido";
+      return null;
+    case "truefalse":
+      if (opts.length !== 2 || !filled(opts)) return "verdadero/falso sin sus 2 opciones";
+      if (!validIndex(q.correctIndex, 2)) return "correctIndex inválido";
+      return null;
+    case "multi": {
+      if (opts.length < 4 || opts.length > 6) return "multirespuesta con menos de 4 o más de 6 opciones";
+      if (!filled(opts)) return "opción vacía";
+      const correct = Array.isArray(q.correctIndexes) ? q.correctIndexes : [];
+      if (!correct.length || correct.some((i) => !validIndex(i, opts.length))) return "correctIndexes inválido";
+      if (new Set(correct).size !== correct.length) return "correctIndexes repetidos";
+      if (correct.length === opts.length) return "todas las opciones son correctas";
+      return null;
+    }
+    case "ordering":
+      if (opts.length < 3 || opts.length > 6) return "ordenación con menos de 3 o más de 6 pasos";
+      if (!filled(opts)) return "paso vacío";
+      return null;
+    case "numeric":
+      if (!Number.isFinite(parseNumber(q.correctValue))) return "correctValue no es un número";
+      if (q.tolerance != null && !(parseNumber(q.tolerance) >= 0)) return "tolerancia inválida";
+      return null;
+    default:
+      return `tipo desconocido: ${q.type}`;
+  }
+}
+
+// Con el esquema mixto el modelo puede rellenar campos de otros tipos: se dejan
+// solo los del suyo y las cifras como número
+const ANSWER_FIELDS = {
+  single: ["correctIndex"],
+  truefalse: ["correctIndex"],
+  multi: ["correctIndexes"],
+  ordering: [],
+  numeric: ["correctValue", "tolerance", "unit"],
+};
+export function tidyQuestion(q) {
+  const keep = ANSWER_FIELDS[typeOf(q)] || [];
+  const out = { ...q };
+  for (const f of ["correctIndex", "correctIndexes", "correctValue", "tolerance", "unit"]) {
+    if (!keep.includes(f)) delete out[f];
+  }
+  if (typeOf(q) === "numeric") {
+    out.correctValue = parseNumber(q.correctValue);
+    out.tolerance = parseNumber(q.tolerance) || 0;
+    out.unit = String(q.unit || "").trim();
+    out.options = [];
+  }
+  return out;
+}
+
+// Opciones que se dan por buenas (para detectar "todas las anteriores" como correcta)
+export function correctOptions(q) {
+  switch (typeOf(q)) {
+    case "single":
+    case "truefalse":
+      return [q.options[q.correctIndex]];
+    case "multi":
+      return q.correctIndexes.map((i) => q.options[i]);
+    default:
+      return [];
+  }
+}
+
+// Copia para un intento concreto: las ordenaciones se sirven barajadas
+export function prepareForAttempt(q, rand = Math.random) {
+  if (typeOf(q) !== "ordering") return q;
+  const n = q.options.length;
+  let perm;
+  do {
+    perm = [...Array(n).keys()];
+    for (let i = n - 1; i > 0; i--) {
+      const j = Math.floor(rand() * (i + 1));
+      [perm[i], perm[j]] = [perm[j], perm[i]];
+    }
+  } while (perm.every((p, i) => p === i)); // nunca ya ordenada
+  const shown = perm.map((i) => q.options[i]);
+  // correctOrder[k] = posición (en lo mostrado) del paso k
+  const correctOrder = q.options.map((_, step) => perm.indexOf(step));
+  const out = { ...q, options: shown, correctOrder };
+  if (Array.isArray(q.optionsEs)) out.optionsEs = perm.map((i) => q.optionsEs[i]);
+  return out;
+}
+
+// Lo que recibe el frontend: `answerField` es el campo que debe mandar a /api/answer
+export function renderQuestion(q) {
+  const base = { id: q.id, type: typeOf(q), prompt: q.prompt };
+  switch (typeOf(q)) {
+    case "single":
+      return { ...base, options: q.options, answerField: "choice", render: { widget: "radio" } };
+    case "truefalse":
+      return { ...base, options: q.options, answerField: "choice", render: { widget: "radio" } };
+    case "multi":
+      return { ...base, options: q.options, answerField: "choices", render: { widget: "checkbox", minChoices: 1 } };
+    case "ordering":
+      return { ...base, options: q.options, answerField: "order", render: { widget: "sortable" } };
+    case "numeric":
+      return { ...base, answerField: "value", render: { widget: "number", unit: q.unit || null } };
+  }
+}
+
+// Valida la respuesta según el tipo. Devuelve { value: { choiceIndex, response, display } }
+// o { error } con la clave del mensaje (lib/i18n.js)
+export function parseAnswer(q, body = {}) {
+  const n = q.options?.length ?? 0;
+  switch (typeOf(q)) {
+    case "single": {
+      const idx = letterIndex(body.choice, 4);
+      if (idx < 0) return { error: "invalid_choice" };
+      return { value: { choiceIndex: idx, response: idx, display: toLetter(idx) } };
+    }
+    case "truefalse": {
+      const idx = typeof body.choice === "boolean" ? (body.choice ? 0 : 1) : letterIndex(body.choice, 2);
+      if (idx < 0) return { error: "invalid_truefalse" };
+      return { value: { choiceIndex: idx, response: idx, display: toLetter(idx) } };
+    }
+    case "multi": {
+      const list = letterList(body.choices ?? body.choice, n);
+      if (!list?.length) return { error: "invalid_choices" };
+      const picked = [...new Set(list)].sort((a, b) => a - b);
+      return { value: { choiceIndex: null, response: picked, display: picked.map(toLetter).join(", ") } };
+    }
+    case "ordering": {
+      const list = letterList(body.order ?? body.choice, n);
+      if (!list || list.length !== n || new Set(list).size !== n) return { error: "invalid_order" };
+      return { value: { choiceIndex: null, response: list, display: list.map(toLetter).join(" > ") } };
+    }
+    case "numeric": {
+      const v = parseNumber(body.value ?? body.choice);
+      if (!Number.isFinite(v)) return { error: "invalid_number" };
+      return { value: { choiceIndex: null, response: v, display: String(v) } };
+    }
+  }
+  return { error: "invalid_question" };
+}
+
+// Respuesta registrada (las de antes de los tipos solo tienen choiceIndex)
+const responseOf = (ans) => (ans.response !== undefined ? ans.response : ans.choiceIndex);
+
+// Opciones marcadas (índices) en las de elegir: single, truefalse y multi.
+// Las ordenaciones y numéricas no tienen distractores que contar
+export function chosenOptions(q, ans) {
+  if (!ans || ans.late || ans.choiceIndex === -1) return [];
+  const r = responseOf(ans);
+  switch (typeOf(q)) {
+    case "single":
+    case "truefalse":
+      return Number.isInteger(r) ? [r] : [];
+    case "multi":
+      return Array.isArray(r) ? r : [];
+  }
+  return [];
+}
+
+// Crédito entre 0 y 1. Multirespuesta: (aciertos − marcadas de más) / correctas, sin bajar de 0.
+// Ordenación: proporción de pasos en su sitio. Numérica: dentro de la tolerancia.
+export function scoreAnswer(q, ans) {
+  if (!ans || ans.late || ans.choiceIndex === -1) return 0;
+  const r = responseOf(ans);
+  switch (typeOf(q)) {
+    case "single":
+    case "truefalse":
+      return r === q.correctIndex ? 1 : 0;
+    case "multi": {
+      const correct = new Set(q.correctIndexes);
+      const hits = r.filter((i) => correct.has(i)).length;
+      const wrong = r.length - hits;
+      return Math.max(0, (hits - wrong) / correct.size);
+    }
+    case "ordering": {
+      const inPlace = q.correctOrder.filter((pos, k) => r[k] === pos).length;
+      return inPlace / q.correctOrder.length;
+    }
+    case "numeric":
+      return Math.abs(r - parseNumber(q.correctValue)) <= (parseNumber(q.tolerance) || 0) ? 1 : 0;
+  }
+  return 0;
+}
+
+const withUnit = (v, unit) => `${v}${unit ? ` ${unit}` : ""}`;
+
+// Texto de la solución y de lo contestado, para el informe final ({ letters, text })
+export function describeCorrect(q, options = q.options) {
+  switch (typeOf(q)) {
+    case "single":
+    case "truefalse":
+      return { letters: toLetter(q.correctIndex), text: options?.[q.correctIndex] ?? null };
+    case "multi":
+      return {
+        letters: q.correctIndexes.map(toLetter).join(", "),
+        text: q.correctIndexes.map((i) => options?.[i]).join(" | "),
+      };
+    case "ordering":
+      return {
+        letters: q.correctOrder.map(toLetter).join(" > "),
+        text: q.correctOrder.map((i) => options?.[i]).join(" > "),
+      };
+    case "numeric": {
+      const tol = parseNumber(q.tolerance) || 0;
+      return { letters: "", text: withUnit(`${q.correctValue}${tol ? ` ± ${tol}` : ""}`, q.unit) };
+    }
+  }
+  return { letters: "", text: null };
+}
+
+export function describeAnswer(q, ans, options = q.options) {
+  if (!ans || ans.late || ans.choiceIndex === -1) return { letters: "", text: "" };
+  const r = responseOf(ans);
+  switch (typeOf(q)) {
+    case "single":
+    case "truefalse":
+      return { letters: toLetter(r), text: options?.[r] ?? "" };
+    case "multi":
+      return { letters: r.map(toLetter).join(", "), text: r.map((i) => options?.[i]).join(" | ") };
+    case "ordering":
+      return { letters: r.map(toLetter).join(" > "), text: r.map((i) => options?.[i]).join(" > ") };
+    case "numeric":
+      return { letters: "", text: withUnit(r, q.unit) };
+  }
+  return { letters: "", text: "" };
+}
@@ -0,0 +1,33 @@
+// lib/ratelimit.js
+
+// ---------------------------------------------------------------------------
+// Límite de peticiones por clave (IP, DNI…) en ventana deslizante, en memoria.
+// max=0 lo desactiva. hit() cuenta la petición solo si se permite.
+// ---------------------------------------------------------------------------
+export function createRateLimiter({ windowMs, max }) {
+  const hits = new Map(); // key -> [timestamps]
+
+  // Limpieza de claves sin actividad reciente
+  const timer = setInterval(() => {
+    const cutoff = Date.now() - windowMs;
+    for (const [key, list] of hits) {
+      if (!list.length || list[list.length - 1] <= cutoff) hits.delete(key);
+    }
+  }, Math.min(windowMs, 10 * 60 * 1000));
+  timer.unref();
+
+  return {
+    // { allowed, remaining } o { allowed: false, retryAfterSec }
+    hit(key, now = Date.now()) {
+      if (!max) return { allowed: true, remaining: null };
+      const list = (hits.get(key) || []).filter((ts) => ts > now - windowMs);
+      if (list.length >= max) {
+        hits.set(key, list);
+        return { allowed: false, retryAfterSec: Math.max(1, Math.ceil((list[0] + windowMs - now) / 1000)) };
+      }
+      list.push(now);
+      hits.set(key, list);
+      return { allowed: true, remaining: max - list.length };
+    },
+  };
+}
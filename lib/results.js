@@ -0,0 +1,152 @@
+// lib/results.js
+import ExcelJS from "exceljs";
+import { normalizeDni } from "./policy.js";
+
+const fold = (s) => String(s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+
+// Fila resumen de un intento finalizado (para listados y exportación)
+export function summarizeResult(attempt) {
+  const r = attempt.result || {};
+  return {
+    attemptId: attempt.id,
+    dni: attempt.dni,
+    nombre: attempt.candidateName,
+    restaurante: attempt.restaurantId ?? null,
+    plantilla: attempt.templateId ?? null,
+    puesto: attempt.role?.label ?? null,
+    idioma: attempt.language || "es",
+    modo: attempt.mode || "exam",
+    fuentes: attempt.sources || [...new Set(attempt.questions.map((q) => q.source))],
+    startedAt: attempt.startedAt,
+    finishedAt: attempt.finishedAt,
+    score: r.score_numerico ?? null,
+    total: r.total_preguntas ?? attempt.questions.length,
+    porcentaje: r.porcentaje ?? null,
+    aprobado: r.aprobado ?? null,
+    cerradoPorTiempo: !!attempt.closedByTimeout,
+  };
+}
+
+const isDate = (s) => Number.isFinite(Date.parse(s));
+
+// Valida los filtros que llegan por query antes de usarlos: { value } o { error }
+export function validateResultsQuery(q = {}) {
+  for (const key of ["from", "to"]) {
+    if (q[key] !== undefined && !isDate(q[key])) return { error: `${key} no es una fecha válida` };
+  }
+  for (const key of ["minScore", "maxScore"]) {
+    if (q[key] !== undefined && !Number.isFinite(Number(q[key]))) return { error: `${key} debe ser un número` };
+  }
+  if (q.mode !== undefined && !["exam", "practice", "all"].includes(q.mode)) {
+    return { error: "mode debe ser exam, practice o all" };
+  }
+  return { value: q };
+}
+
+// Filtros: dni, name, from, to (sobre finishedAt), source, minScore, maxScore (porcentaje)
+// y mode: por defecto solo exámenes; mode=practice para las prácticas, mode=all para todo.
+// Las fechas y números ya vienen validados (validateResultsQuery)
+export function filterResults(rows, q = {}) {
+  const minScore = q.minScore !== undefined ? Number(q.minScore) : null;
+  const maxScore = q.maxScore !== undefined ? Number(q.maxScore) : null;
+  const mode = q.mode || "exam";
+  return rows
+    .filter((r) => mode === "all" || r.modo === mode)
+    .filter((r) => !q.dni || normalizeDni(r.dni).includes(normalizeDni(q.dni)))
+    .filter((r) => !q.name || fold(r.nombre).includes(fold(q.name)))
+    .filter((r) => !q.from || r.finishedAt >= new Date(q.from).toISOString())
+    .filter((r) => !q.to || r.finishedAt <= endOfDay(q.to))
+    .filter((r) => !q.source || r.fuentes.includes(q.source))
+    .filter((r) => minScore === null || r.porcentaje >= minScore)
+    .filter((r) => maxScore === null || r.porcentaje <= maxScore)
+    .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt));
+}
+
+// "2025-10-01" como fecha de fin incluye todo ese día
+function endOfDay(to) {
+  const d = new Date(to);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(to))) d.setUTCHours(23, 59, 59, 999);
+  return d.toISOString();
+}
+
+// ---------------------------------------------------------------------------
+// Exportación
+// ---------------------------------------------------------------------------
+const COLUMNS = [
+  ["attemptId", "Intento"],
+  ["dni", "DNI"],
+  ["nombre", "Nombre"],
+  ["restaurante", "Restaurante"],
+  ["plantilla", "Plantilla"],
+  ["puesto", "Puesto"],
+  ["idioma", "Idioma"],
+  ["modo", "Modo"],
+  ["fuentes", "Fuentes"],
+  ["startedAt", "Inicio"],
+  ["finishedAt", "Fin"],
+  ["score", "Aciertos"],
+  ["total", "Preguntas"],
+  ["porcentaje", "Porcentaje"],
+  ["aprobado", "Aprobado"],
+  ["cerradoPorTiempo", "Cerrado por tiempo"],
+];
+
+// Texto que Excel interpretaría como fórmula (= + - @, o tabulador / retorno delante)
+// se exporta con un apóstrofo: el nombre lo escribe el candidato
+function neutralize(s) {
+  return /^[=+\-@\t\r]/.test(s) ? `'${s}` : s;
+}
+
+function cell(value) {
+  if (Array.isArray(value)) return neutralize(value.join(", "));
+  if (typeof value === "boolean") return value ? "Sí" : "No";
+  if (typeof value === "string") return neutralize(value);
+  return value ?? "";
+}
+
+function csvEscape(value) {
+  const s = String(cell(value));
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function resultsToCsv(rows) {
+  const lines = [COLUMNS.map(([, label]) => csvEscape(label)).join(",")];
+  for (const r of rows) lines.push(COLUMNS.map(([key]) => csvEscape(r[key])).join(","));
+  // BOM para que Excel detecte UTF-8 (tildes y ñ)
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+// Libro con dos hojas: resumen por intento y desglose por pregunta
+export async function resultsToXlsx(rows, attemptsById) {
+  const wb = new ExcelJS.Workbook();
+  wb.created = new Date();
+
+  const summary = wb.addWorksheet("Resultados");
+  summary.columns = COLUMNS.map(([key, header]) => ({ key, header, width: Math.max(header.length + 2, 14) }));
+  for (const r of rows) summary.addRow(Object.fromEntries(COLUMNS.map(([key]) => [key, cell(r[key])])));
+  summary.getRow(1).font = { bold: true };
+
+  const detail = wb.addWorksheet("Preguntas");
+  detail.columns = [
+    { key: "attemptId", header: "Intento", width: 38 },
+    { key: "dni", header: "DNI", width: 14 },
+    { key: "id", header: "Pregunta", width: 24 },
+    { key: "fuente", header: "Fuente", width: 16 },
+    { key: "enunciado", header: "Enunciado", width: 60 },
+    { key: "letraSeleccionada", header: "Seleccionada", width: 12 },
+    { key: "letraCorrecta", header: "Correcta", width: 10 },
+    { key: "acierto", header: "Acierto", width: 10 },
+  ];
+  for (const r of rows) {
+    const preguntas = attemptsById.get(r.attemptId)?.result?.preguntas || [];
+    for (const p of preguntas) {
+      // RRHH revisa en español aunque el candidato hiciera el test en otro idioma
+      const enunciado = p.version_es?.enunciado ?? p.enunciado;
+      const row = { attemptId: r.attemptId, dni: r.dni, ...p, enunciado };
+      detail.addRow(Object.fromEntries(detail.columns.map(({ key }) => [key, cell(row[key])])));
+    }
+  }
+  detail.getRow(1).font = { bold: true };
+
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
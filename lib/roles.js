@@ -0,0 +1,53 @@
+// lib/roles.js
+
+// ---------------------------------------------------------------------------
+// Perfiles de puesto: orientación para el generador y sesgo de fuentes
+//   guidance   → se añade al prompt de generación
+//   sourceBias → multiplica el peso de esas fuentes en el reparto
+// ---------------------------------------------------------------------------
+export const ROLE_PROFILES = {
+  sumiller: {
+    label: "Sumiller/a",
+    aliases: ["sommelier", "sumiller", "sumillera", "bodega"],
+    guidance:
+      "Prioriza maridajes, características de los vinos y bebidas, temperaturas y forma de servicio del vino, y cómo recomendar al cliente.",
+    sourceBias: { maridaje: 3 },
+  },
+  camarero: {
+    label: "Camarero/a de sala",
+    aliases: ["camarero", "camarera", "sala", "mesero", "mesera", "runner", "jefe de rango"],
+    guidance:
+      "Prioriza protocolo de servicio en sala, atención al cliente, toma de comandas, alérgenos y conocimiento de la carta para recomendar platos.",
+    sourceBias: { procedimiento: 2 },
+  },
+  cocinero: {
+    label: "Cocinero/a de línea",
+    aliases: ["cocinero", "cocinera", "cocina", "partida", "ayudante de cocina", "line cook", "chef"],
+    guidance:
+      "Prioriza recetas, ingredientes y cantidades, técnicas y tiempos de cocción, emplatado, higiene y procedimientos de cocina.",
+    sourceBias: { recetario: 3, procedimiento: 1.5 },
+  },
+  barra: {
+    label: "Barra / bartender",
+    aliases: ["barra", "bartender", "barman", "coctelero", "coctelera"],
+    guidance: "Prioriza bebidas, cócteles, servicio en barra, maridajes sencillos y procedimientos de apertura y cierre.",
+    sourceBias: { maridaje: 2 },
+  },
+};
+
+const stripAccents = (s) => s.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+
+// Normaliza el puesto libre del candidato → { key, label, guidance, sourceBias }.
+// Un puesto fuera del catálogo devuelve null (test general): cada clave de puesto
+// es un pool propio, así que el texto libre no puede crear pools ni llegar al prompt.
+export function resolveRole(input) {
+  const raw = String(input || "").trim();
+  if (!raw) return null;
+  const needle = stripAccents(raw.toLowerCase());
+  for (const [key, p] of Object.entries(ROLE_PROFILES)) {
+    if (key === needle || p.aliases.some((a) => needle.includes(a))) {
+      return { key, label: p.label, guidance: p.guidance, sourceBias: p.sourceBias };
+    }
+  }
+  return null;
+}
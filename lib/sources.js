@@ -0,0 +1,136 @@
+// lib/sources.js
+import { createJsonFile, dictionary } from "./store.js";
+
+export const DEFAULT_RESTAURANT = (process.env.DEFAULT_RESTAURANT || "pez-vela").trim();
+
+// Catálogo inicial: los 3 manuales de Pez Vela (se usan si aún no hay fichero)
+const SEED = {
+  "pez-vela": {
+    name: "Pez Vela",
+    sources: [
+      {
+        key: "procedimiento",
+        label: "Procedimiento",
+        url: "https://966e7448.delivery.rocketcdn.me/wp-content/uploads/manuales/pez-vela/GT2025-RRHH-PezVela-Manual-de-procedimiento.pdf",
+        weight: 1,
+        enabled: true,
+      },
+      {
+        key: "maridaje",
+        label: "Maridaje",
+        url: "https://966e7448.delivery.rocketcdn.me/wp-content/uploads/manuales/pez-vela/GT2025-RRHH-PezVela-maridaje.pdf",
+        weight: 1,
+        enabled: true,
+      },
+      {
+        key: "recetario",
+        label: "Recetario",
+        url: "https://966e7448.delivery.rocketcdn.me/wp-content/uploads/manuales/pez-vela/GT2025-RRHH-PezVela-recetario.pdf",
+        weight: 1,
+        enabled: true,
+      },
+    ],
+  },
+};
+
+const KEY_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+
+// Valida (y normaliza) una fuente; `partial` para actualizaciones parciales
+export function validateSource(input = {}, { partial = false } = {}) {
+  const out = {};
+  if (!partial || input.key !== undefined) {
+    if (!KEY_RE.test(String(input.key || ""))) return { error: "Clave de fuente inválida (a-z, 0-9, - y _)" };
+    out.key = String(input.key);
+  }
+  if (!partial || input.url !== undefined) {
+    try {
+      const u = new URL(String(input.url || ""));
+      // upload://<id> → documento subido por /api/admin/uploads
+      if (!["http:", "https:", "upload:"].includes(u.protocol)) throw new Error();
+      out.url = u.toString();
+    } catch {
+      return { error: "URL de fuente inválida" };
+    }
+  }
+  if (!partial || input.label !== undefined) {
+    out.label = String(input.label ?? input.key ?? "").trim() || out.key;
+  }
+  if (!partial || input.weight !== undefined) {
+    const w = Number(input.weight ?? 1);
+    if (!Number.isFinite(w) || w <= 0) return { error: "El peso debe ser un número mayor que 0" };
+    out.weight = w;
+  }
+  if (!partial || input.enabled !== undefined) {
+    out.enabled = input.enabled === undefined ? true : Boolean(input.enabled);
+  }
+  return { value: out };
+}
+
+// ---------------------------------------------------------------------------
+// Catálogo de fuentes por restaurante (DATA_DIR/sources.json)
+// { [restaurantId]: { name, sources: [{ key, label, url, weight, enabled }] } }
+// ---------------------------------------------------------------------------
+export function createSourceCatalog({ file = "sources.json" } = {}) {
+  const jsonFile = createJsonFile(file, SEED);
+  let catalog = null;
+
+  async function load() {
+    if (!catalog) catalog = dictionary(await jsonFile.read());
+    return catalog;
+  }
+  const persist = () => jsonFile.save(catalog);
+
+  return {
+    async listRestaurants() {
+      const all = await load();
+      return Object.entries(all).map(([id, r]) => ({
+        id,
+        name: r.name || id,
+        sources: r.sources.length,
+      }));
+    },
+    async getRestaurant(id) {
+      return (await load())[id] || null;
+    },
+    async setRestaurantName(id, name) {
+      const all = await load();
+      all[id] = { sources: [], ...all[id], name };
+      await persist();
+      return all[id];
+    },
+    async list(restaurantId, { enabledOnly = false } = {}) {
+      const r = (await load())[restaurantId];
+      if (!r) return [];
+      return enabledOnly ? r.sources.filter((s) => s.enabled) : r.sources;
+    },
+    async get(restaurantId, key) {
+      const r = (await load())[restaurantId];
+      return r?.sources.find((s) => s.key === key) || null;
+    },
+    // Devuelve null si la clave ya existe
+    async add(restaurantId, source) {
+      const all = await load();
+      all[restaurantId] ||= { name: restaurantId, sources: [] };
+      if (all[restaurantId].sources.some((s) => s.key === source.key)) return null;
+      all[restaurantId].sources.push(source);
+      await persist();
+      return source;
+    },
+    async update(restaurantId, key, patch) {
+      const r = (await load())[restaurantId];
+      const s = r?.sources.find((x) => x.key === key);
+      if (!s) return null;
+      Object.assign(s, patch, { key });
+      await persist();
+      return s;
+    },
+    async remove(restaurantId, key) {
+      const r = (await load())[restaurantId];
+      const i = r ? r.sources.findIndex((s) => s.key === key) : -1;
+      if (i < 0) return false;
+      r.sources.splice(i, 1);
+      await persist();
+      return true;
+    },
+  };
+}
@@ -0,0 +1,44 @@
+// lib/store.js
+import fs from "fs/promises";
+import path from "path";
+
+// Carpeta donde viven los ficheros de datos persistentes (montar como volumen en prod)
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || "data");
+
+// ---------------------------------------------------------------------------
+// Fichero JSON con escritura atómica (tmp + rename) y escrituras serializadas
+// ---------------------------------------------------------------------------
+export function createJsonFile(file, fallback) {
+  const fullPath = path.isAbsolute(file) ? file : path.join(DATA_DIR, file);
+  let queue = Promise.resolve();
+
+  async function read() {
+    try {
+      const raw = await fs.readFile(fullPath, "utf8");
+      return JSON.parse(raw);
+    } catch (e) {
+      if (e.code === "ENOENT") return structuredClone(fallback);
+      throw new Error(`No se pudo leer ${fullPath}: ${e.message}`);
+    }
+  }
+
+  async function write(data) {
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    const tmp = `${fullPath}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+    await fs.rename(tmp, fullPath);
+  }
+
+  // Encola la escritura para que dos peticiones simultáneas no se pisen
+  function save(data) {
+    const run = queue.then(() => write(data));
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return { path: fullPath, read, save };
+}
+
+// Diccionario sin prototipo para ficheros { [id]: ... }: con ids que vienen de la URL,
+// "__proto__" o "constructor" no deben resolver a miembros de Object.prototype
+export const dictionary = (obj) => Object.assign(Object.create(null), obj);
@@ -0,0 +1,165 @@
+// lib/templates.js
+import { createJsonFile, dictionary } from "./store.js";
+import { QUESTION_TYPES, LEVELS } from "./questions.js";
+import { resolveRole, ROLE_PROFILES } from "./roles.js";
+
+// "mixta": preguntas de los tres niveles (la necesita el modo adaptativo)
+export const DIFFICULTIES = [...LEVELS, "mixta"];
+
+// Plantillas iniciales (se usan si aún no hay fichero)
+const SEED = {
+  camarero: {
+    name: "Camarero/a de sala",
+    role: "camarero",
+    numQuestions: 10,
+    distribution: { procedimiento: 2, maridaje: 1, recetario: 1 },
+    difficulty: "media",
+    passPercent: 60,
+    timeLimitMin: 20,
+  },
+  cocina: {
+    name: "Cocina",
+    role: "cocinero",
+    numQuestions: 12,
+    distribution: { procedimiento: 1, recetario: 3 },
+    difficulty: "dificil",
+    passPercent: 60,
+    timeLimitMin: 25,
+  },
+  sumiller: {
+    name: "Sumiller/a",
+    role: "sumiller",
+    numQuestions: 12,
+    distribution: { procedimiento: 1, maridaje: 3 },
+    difficulty: "dificil",
+    passPercent: 70,
+    timeLimitMin: 25,
+  },
+};
+
+const ID_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+
+// Valida (y normaliza) una plantilla; `partial` para actualizaciones parciales
+export function validateTemplate(input = {}, { partial = false } = {}) {
+  const out = {};
+  const has = (k) => !partial || input[k] !== undefined;
+
+  if (has("name")) {
+    const name = String(input.name || "").trim();
+    if (!name) return { error: "Nombre de plantilla inválido" };
+    out.name = name;
+  }
+  if (has("role")) {
+    const role = input.role ? resolveRole(input.role) : null;
+    if (input.role && !role) return { error: `Puesto desconocido (${Object.keys(ROLE_PROFILES).join(", ")})` };
+    out.role = role?.key ?? null;
+  }
+  if (has("approvedOnly")) {
+    out.approvedOnly = Boolean(input.approvedOnly);
+  }
+  if (has("numQuestions")) {
+    const n = Number(input.numQuestions);
+    if (!Number.isInteger(n) || n < 1 || n > 100) return { error: "numQuestions debe ser un entero entre 1 y 100" };
+    out.numQuestions = n;
+  }
+  if (has("distribution")) {
+    const d = input.distribution ?? null;
+    if (d !== null) {
+      if (typeof d !== "object" || Array.isArray(d) || !Object.keys(d).length) {
+        return { error: "distribution debe ser un objeto { fuente: peso }" };
+      }
+      for (const [k, w] of Object.entries(d)) {
+        if (!Number.isFinite(Number(w)) || Number(w) < 0) return { error: `Peso inválido para la fuente ${k}` };
+      }
+    }
+    out.distribution = d;
+  }
+  if (has("difficulty")) {
+    const diff = input.difficulty ?? "dificil";
+    if (!DIFFICULTIES.includes(diff)) return { error: `difficulty debe ser una de: ${DIFFICULTIES.join(", ")}` };
+    out.difficulty = diff;
+  }
+  if (has("passPercent")) {
+    const p = Number(input.passPercent ?? 50);
+    if (!Number.isFinite(p) || p < 0 || p > 100) return { error: "passPercent debe estar entre 0 y 100" };
+    out.passPercent = p;
+  }
+  if (has("timeLimitMin")) {
+    const t = input.timeLimitMin ?? null;
+    if (t !== null && (!Number.isFinite(Number(t)) || Number(t) <= 0)) {
+      return { error: "timeLimitMin debe ser un número positivo o null" };
+    }
+    out.timeLimitMin = t === null ? null : Number(t);
+  }
+  if (has("questionTimeLimitSec")) {
+    const t = input.questionTimeLimitSec ?? null;
+    if (t !== null && (!Number.isFinite(Number(t)) || Number(t) <= 0)) {
+      return { error: "questionTimeLimitSec debe ser un número positivo o null" };
+    }
+    out.questionTimeLimitSec = t === null ? null : Number(t);
+  }
+  // Tipos de pregunta del test (null = solo opción única A–D)
+  if (has("questionTypes")) {
+    const types = input.questionTypes ?? null;
+    if (types !== null) {
+      if (!Array.isArray(types) || !types.length || types.some((x) => !QUESTION_TYPES.includes(x))) {
+        return { error: `questionTypes debe ser una lista con: ${QUESTION_TYPES.join(", ")}` };
+      }
+    }
+    out.questionTypes = types === null ? null : QUESTION_TYPES.filter((x) => types.includes(x));
+  }
+  // Adaptativo: cada pregunta se elige según cómo va el candidato
+  if (has("adaptive")) {
+    out.adaptive = Boolean(input.adaptive);
+  }
+  return { value: out };
+}
+
+// ---------------------------------------------------------------------------
+// Plantillas de test con nombre (DATA_DIR/templates.json)
+// { [id]: { name, role, numQuestions, distribution, difficulty, passPercent,
+//           timeLimitMin, questionTimeLimitSec, approvedOnly, questionTypes, adaptive } }
+// ---------------------------------------------------------------------------
+export function createTemplateCatalog({ file = "templates.json" } = {}) {
+  const jsonFile = createJsonFile(file, SEED);
+  let templates = null;
+
+  async function load() {
+    if (!templates) templates = dictionary(await jsonFile.read());
+    return templates;
+  }
+  const persist = () => jsonFile.save(templates);
+
+  return {
+    async list() {
+      const all = await load();
+      return Object.entries(all).map(([id, t]) => ({ id, ...t }));
+    },
+    async get(id) {
+      const t = (await load())[id];
+      return t ? { id, ...t } : null;
+    },
+    // Devuelve null si el id ya existe o no es válido
+    async add(id, template) {
+      const all = await load();
+      if (!ID_RE.test(String(id || "")) || all[id]) return null;
+      all[id] = template;
+      await persist();
+      return { id, ...template };
+    },
+    async update(id, patch) {
+      const all = await load();
+      if (!all[id]) return null;
+      Object.assign(all[id], patch);
+      await persist();
+      return { id, ...all[id] };
+    },
+    async remove(id) {
+      const all = await load();
+      if (!all[id]) return false;
+      delete all[id];
+      await persist();
+      return true;
+    },
+  };
+}
@@ -0,0 +1,47 @@
+// lib/timing.js
+
+// Margen para latencia de red antes de considerar una respuesta fuera de tiempo
+const GRACE_MS = Number(process.env.TIME_GRACE_SEC || 5) * 1000;
+
+// Límites de un intento nuevo: los de la plantilla o, si no hay, los del entorno
+export function timeLimitsFor(template) {
+  const envTotal = Number(process.env.TIME_LIMIT_MIN || 0) || null;
+  const envPerQuestion = Number(process.env.QUESTION_TIME_LIMIT_SEC || 0) || null;
+  return {
+    timeLimitMin: template ? template.timeLimitMin ?? null : envTotal,
+    questionTimeLimitSec: template ? template.questionTimeLimitSec ?? null : envPerQuestion,
+  };
+}
+
+// Fecha límite global (ISO) o null si el test no tiene límite total
+export function deadlineFor(startedAt, timeLimitMin) {
+  if (!timeLimitMin) return null;
+  return new Date(Date.parse(startedAt) + timeLimitMin * 60 * 1000).toISOString();
+}
+
+// ¿Se ha superado la fecha límite global? (con margen de gracia)
+export function isPastDeadline(attempt, now = Date.now()) {
+  return !!attempt.deadlineAt && now > Date.parse(attempt.deadlineAt) + GRACE_MS;
+}
+
+export function remainingSec(attempt, now = Date.now()) {
+  if (!attempt.deadlineAt) return null;
+  return Math.max(0, Math.round((Date.parse(attempt.deadlineAt) - now) / 1000));
+}
+
+// El reloj de cada pregunta arranca con la última actividad del intento
+// (inicio del test o respuesta anterior): así se mide lo que tarda en contestar.
+export function questionClockStart(attempt) {
+  const last = attempt.answers.reduce((max, a) => (a.answeredAt > max ? a.answeredAt : max), "");
+  return last || attempt.startedAt;
+}
+
+// Segundos empleados en la pregunta y si excede el límite por pregunta
+export function measureAnswer(attempt, now = Date.now()) {
+  const elapsedMs = now - Date.parse(questionClockStart(attempt));
+  const limitMs = attempt.questionTimeLimitSec ? attempt.questionTimeLimitSec * 1000 : 0;
+  return {
+    elapsedSec: Math.round(elapsedMs / 1000),
+    late: !!limitMs && elapsedMs > limitMs + GRACE_MS,
+  };
+}
@@ -0,0 +1,105 @@
+// lib/uploads.js
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { DATA_DIR, createJsonFile, dictionary } from "./store.js";
+
+// Los documentos subidos se referencian como fuente con `upload://<id>`
+export const UPLOAD_SCHEME = "upload://";
+const UPLOAD_DIR = path.join(DATA_DIR, "uploads");
+// Tamaño máximo de un documento subido (MB)
+export const MAX_UPLOAD_MB = Number(process.env.MAX_UPLOAD_MB || 20);
+
+const EXTENSIONS = { pdf: ".pdf", docx: ".docx", html: ".html", markdown: ".md", text: ".txt" };
+
+// ---------------------------------------------------------------------------
+// Detección del tipo por contenido (firma del fichero); la cabecera
+// content-type y la extensión solo deciden entre los formatos de texto
+// ---------------------------------------------------------------------------
+export function detectFileType(buffer, { contentType = "", filename = "" } = {}) {
+  const head = buffer.subarray(0, 8);
+  if (head.subarray(0, 5).toString("latin1") === "%PDF-") return "pdf";
+  if (head[0] === 0x50 && head[1] === 0x4b && head[2] === 0x03 && head[3] === 0x04) {
+    // ZIP: solo aceptamos DOCX (lleva word/document.xml en el índice)
+    return buffer.includes("word/document.xml") ? "docx" : null;
+  }
+  // Binarios que no sabemos leer (bytes nulos en el arranque)
+  if (buffer.subarray(0, 1024).includes(0)) return null;
+
+  const ext = path.extname(filename || "").toLowerCase();
+  const ct = contentType.toLowerCase();
+  const start = buffer.subarray(0, 512).toString("utf8").replace(/^\uFEFF/, "").trimStart().toLowerCase();
+  if (ct.includes("html") || /^<(!doctype html|html|head|body)\b/.test(start)) return "html";
+  if (ct.includes("markdown") || [".md", ".markdown"].includes(ext)) return "markdown";
+  return "text";
+}
+
+export function isUploadUrl(url) {
+  return String(url || "").startsWith(UPLOAD_SCHEME);
+}
+
+const idFromUrl = (url) => String(url).slice(UPLOAD_SCHEME.length);
+const fileFor = (meta) => path.join(UPLOAD_DIR, meta.id + EXTENSIONS[meta.type]);
+
+// ---------------------------------------------------------------------------
+// Documentos subidos (DATA_DIR/uploads/ + índice en DATA_DIR/uploads.json)
+// ---------------------------------------------------------------------------
+export function createUploadStore({ file = "uploads.json" } = {}) {
+  const jsonFile = createJsonFile(file, {});
+  let index = null;
+
+  async function load() {
+    if (!index) index = dictionary(await jsonFile.read());
+    return index;
+  }
+
+  return {
+    async list() {
+      return Object.values(await load()).sort((a, b) => a.uploadedAt.localeCompare(b.uploadedAt));
+    },
+    async get(id) {
+      return (await load())[id] || null;
+    },
+    // Devuelve { error } si el fichero no es de un tipo soportado
+    async save(buffer, { filename = "", contentType = "" } = {}) {
+      if (!buffer?.length) return { error: "Fichero vacío" };
+      const type = detectFileType(buffer, { contentType, filename });
+      if (!type) return { error: "Formato no soportado (PDF, DOCX, HTML, Markdown o texto)" };
+
+      const id = crypto.randomUUID().replace(/-/g, "").slice(0, 12);
+      const meta = {
+        id,
+        url: UPLOAD_SCHEME + id,
+        filename: path.basename(filename || `documento${EXTENSIONS[type]}`),
+        type,
+        size: buffer.length,
+        hash: crypto.createHash("sha256").update(buffer).digest("hex"),
+        uploadedAt: new Date().toISOString(),
+      };
+      await fs.mkdir(UPLOAD_DIR, { recursive: true });
+      await fs.writeFile(fileFor(meta), buffer);
+      (await load())[id] = meta;
+      await jsonFile.save(index);
+      return { value: meta };
+    },
+    async remove(id) {
+      const all = await load();
+      const meta = all[id];
+      if (!meta) return false;
+      await fs.rm(fileFor(meta), { force: true });
+      delete all[id];
+      await jsonFile.save(index);
+      return true;
+    },
+  };
+}
+
+// Lectura para la extracción (sin pasar por el índice en memoria del servidor)
+export async function readUpload(url) {
+  const id = idFromUrl(url);
+  const index = dictionary(await createJsonFile("uploads.json", {}).read());
+  const meta = index[id];
+  if (!meta) throw new Error(`Documento subido no encontrado: ${id}`);
+  const buffer = await fs.readFile(fileFor(meta));
+  return { meta, buffer };
+}
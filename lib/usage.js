@@ -0,0 +1,120 @@
+// lib/usage.js
+import { createJsonFile } from "./store.js";
+
+// Presupuesto de LLM por día y por mes (UTC); 0 = sin límite
+export const LLM_BUDGET = {
+  daily: {
+    tokens: Number(process.env.LLM_DAILY_TOKEN_BUDGET || 0),
+    calls: Number(process.env.LLM_DAILY_CALL_BUDGET || 0),
+  },
+  monthly: {
+    tokens: Number(process.env.LLM_MONTHLY_TOKEN_BUDGET || 0),
+    calls: Number(process.env.LLM_MONTHLY_CALL_BUDGET || 0),
+  },
+};
+// Días de detalle que se conservan en el fichero
+const KEEP_DAYS = 90;
+
+// `code` del error que se lanza con el presupuesto agotado
+export const BUDGET_EXCEEDED = "LLM_BUDGET_EXCEEDED";
+
+const empty = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, models: {} });
+
+function periodsOf(now) {
+  const iso = new Date(now).toISOString();
+  return { day: iso.slice(0, 10), month: iso.slice(0, 7) };
+}
+
+// ---------------------------------------------------------------------------
+// Consumo de LLM (DATA_DIR/llm-usage.json): tokens y llamadas por día y por mes,
+// con el `usage` que devuelve cada proveedor. Antes de cada llamada se comprueba
+// el presupuesto; las que ya están en vuelo pueden pasarse un poco.
+// ---------------------------------------------------------------------------
+export function createUsageMeter({ file = "llm-usage.json", budget = LLM_BUDGET } = {}) {
+  const jsonFile = createJsonFile(file, { days: {}, months: {} });
+  let data = null;
+
+  async function load() {
+    if (!data) data = await jsonFile.read();
+    return data;
+  }
+
+  // Primer límite superado: { period, kind, limit, used } o null
+  function exceeded(day, month) {
+    const checks = [
+      ["daily", day],
+      ["monthly", month],
+    ];
+    for (const [period, used] of checks) {
+      if (budget[period].tokens > 0 && used.totalTokens >= budget[period].tokens) {
+        return { period, kind: "tokens", limit: budget[period].tokens, used: used.totalTokens };
+      }
+      if (budget[period].calls > 0 && used.calls >= budget[period].calls) {
+        return { period, kind: "calls", limit: budget[period].calls, used: used.calls };
+      }
+    }
+    return null;
+  }
+
+  async function current(now) {
+    const all = await load();
+    const { day, month } = periodsOf(now);
+    return { day: all.days[day] || empty(), month: all.months[month] || empty() };
+  }
+
+  return {
+    // Lanza un error con code BUDGET_EXCEEDED si el día o el mes están agotados
+    async assertAvailable(now = Date.now()) {
+      const { day, month } = await current(now);
+      const over = exceeded(day, month);
+      if (!over) return;
+      const label = over.period === "daily" ? "diario" : "mensual";
+      const what = over.kind === "tokens" ? "tokens" : "llamadas";
+      throw Object.assign(new Error(`Presupuesto ${label} de IA agotado (${over.used}/${over.limit} ${what})`), {
+        code: BUDGET_EXCEEDED,
+        budget: over,
+      });
+    },
+    async record(usage = {}, { model = "desconocido", now = Date.now() } = {}) {
+      const all = await load();
+      const { day, month } = periodsOf(now);
+      for (const [bucket, key] of [
+        [all.days, day],
+        [all.months, month],
+      ]) {
+        const entry = (bucket[key] ||= empty());
+        entry.calls++;
+        entry.inputTokens += usage.inputTokens || 0;
+        entry.outputTokens += usage.outputTokens || 0;
+        entry.totalTokens += usage.totalTokens || 0;
+        entry.models[model] = (entry.models[model] || 0) + (usage.totalTokens || 0);
+      }
+      // Solo se guarda el detalle de los últimos KEEP_DAYS días
+      const oldest = new Date(now - KEEP_DAYS * 24 * 3600 * 1000).toISOString().slice(0, 10);
+      for (const d of Object.keys(all.days)) if (d < oldest) delete all.days[d];
+      await jsonFile.save(all);
+    },
+    async status({ days = 30, now = Date.now() } = {}) {
+      const all = await load();
+      const { day, month } = await current(now);
+      const over = exceeded(day, month);
+      const remaining = (period, used) => ({
+        tokens: budget[period].tokens > 0 ? Math.max(0, budget[period].tokens - used.totalTokens) : null,
+        calls: budget[period].calls > 0 ? Math.max(0, budget[period].calls - used.calls) : null,
+      });
+      return {
+        budget,
+        today: { ...day, remaining: remaining("daily", day) },
+        month: { ...month, remaining: remaining("monthly", month) },
+        exhausted: over,
+        history: Object.entries(all.days)
+          .sort(([a], [b]) => b.localeCompare(a))
+          .slice(0, days)
+          .map(([date, u]) => ({ date, ...u })),
+        months: Object.entries(all.months)
+          .sort(([a], [b]) => b.localeCompare(a))
+          .map(([monthKey, u]) => ({ month: monthKey, ...u })),
+      };
+    },
+  };
+}
@@ -0,0 +1,99 @@
+// lib/validate.js
+import { structuralError, correctOptions, tidyQuestion } from "./questions.js";
+
+// --- Normalización para quitar “A) ”, “1.”, etc. del prompt y las opciones ---
+const LEADING_LABEL_RE = /^\s*(?:([A-Da-d])|([1-4]))[\)\.\-:]\s+|\s*^[A-Da-d]\)\s+|\s*^\d+\)\s+/;
+export function stripLeadingLabel(str = "") {
+  let s = String(str).trim();
+  // elimina patrones comunes A) / a) / 1) / 1. / 1- :
+  s = s.replace(/^\s*([A-Da-d]|[1-4])[\)\.\-:]\s+/, "");
+  // si el modelo repite doble prefijo raro, limpiar otra vez
+  s = s.replace(/^\s*([A-Da-d]|[1-4])[\)\.\-:]\s+/, "");
+  return s.trim();
+}
+export function normalizeQuestion(q) {
+  const opts = Array.isArray(q.options) ? q.options : [];
+  const cleanOpts = opts.map((o) => stripLeadingLabel(o));
+  const out = {
+    ...q,
+    prompt: stripLeadingLabel(q.prompt || ""),
+    options: cleanOpts,
+  };
+  // Versión en español de las preguntas generadas en otro idioma
+  if (q.promptEs) out.promptEs = stripLeadingLabel(q.promptEs);
+  if (Array.isArray(q.optionsEs)) out.optionsEs = q.optionsEs.map((o) => stripLeadingLabel(o));
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Validación de lo que devuelve el LLM: se descartan las preguntas malas (con
+// motivo) en lugar de tumbar el banco entero
+// ---------------------------------------------------------------------------
+
+// Forma comparable: sin etiqueta, minúsculas, sin tildes ni puntuación final
+function comparable(str = "") {
+  return stripLeadingLabel(str)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/["'«»“”]/g, "")
+    .replace(/\s+/g, " ")
+    .replace(/[\s.;:!?¿¡]+$/g, "")
+    .trim();
+}
+
+const tokens = (str) => new Set(comparable(str).split(/[^a-z0-9ñ]+/).filter((w) => w.length > 2 || /\d/.test(w)));
+
+const numbers = (set) => [...set].filter((w) => /\d/.test(w)).sort().join(",");
+
+// Similitud de Jaccard sobre palabras (1 = mismas palabras). Si las cifras no
+// coinciden no es la misma pregunta: "servir a 8 ºC" frente a "servir a 18 ºC"
+function similarity(a, b) {
+  const ta = tokens(a);
+  const tb = tokens(b);
+  if (!ta.size || !tb.size || numbers(ta) !== numbers(tb)) return 0;
+  let inter = 0;
+  for (const w of ta) if (tb.has(w)) inter++;
+  return inter / (ta.size + tb.size - inter);
+}
+
+const SIMILAR_PROMPT = 0.85;
+// Respuestas comodín que no evalúan nada
+const CATCH_ALL_RE =
+  /\b(todas las (anteriores|opciones|respuestas)|ninguna de las (anteriores|opciones)|ambas son correctas|las dos anteriores|all of the above|none of the above)\b/i;
+
+// Devuelve { valid, rejected: [{ question, reason }] }.
+// `existingPrompts`: enunciados ya presentes en otros bancos (no se repiten).
+export function validateQuestions(questions, { existingPrompts = [] } = {}) {
+  const valid = [];
+  const rejected = [];
+  const seen = [...existingPrompts];
+  const reject = (question, reason) => rejected.push({ question, reason });
+
+  for (const raw of Array.isArray(questions) ? questions : []) {
+    const err = structuralError(raw);
+    if (err) {
+      reject(raw, err);
+      continue;
+    }
+    // Reparación: quitar etiquetas "A) " y espacios sobrantes
+    const q = tidyQuestion(normalizeQuestion({ ...raw, options: (raw.options || []).map((o) => String(o)) }));
+
+    const opts = q.options.map(comparable);
+    if (new Set(opts).size !== opts.length) {
+      reject(q, "opciones duplicadas o que solo difieren en la etiqueta");
+      continue;
+    }
+    if (correctOptions(q).some((o) => CATCH_ALL_RE.test(o))) {
+      reject(q, "la respuesta correcta es del tipo «todas/ninguna de las anteriores»");
+      continue;
+    }
+    if (seen.some((p) => comparable(p) === comparable(q.prompt) || similarity(p, q.prompt) >= SIMILAR_PROMPT)) {
+      reject(q, "enunciado duplicado o copiado de otro banco");
+      continue;
+    }
+    seen.push(q.prompt);
+    valid.push(q);
+  }
+  return { valid, rejected };
+}
@@ -0,0 +1,217 @@
+// lib/webhooks.js
+import crypto from "crypto";
+import { createJsonFile } from "./store.js";
+
+// --- fetch fallback (por si el runtime no trae global.fetch) ---
+async function getFetch() {
+  if (typeof fetch === "function") return fetch;
+  const nf = (await import("node-fetch")).default;
+  return nf;
+}
+
+// Firma HMAC-SHA256 de "<timestamp>.<body>" con WEBHOOK_SECRET.
+// Para verificar en Make: recalcular con la cabecera X-Signature-Timestamp
+// y el cuerpo tal cual, y comparar con X-Signature (formato "sha256=<hex>").
+export function signPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const hmac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return { timestamp: String(timestamp), signature: `sha256=${hmac}` };
+}
+
+// Helper POST JSON (para Make) con logs; firma si hay secreto
+export async function postJSON(url, body, { timeoutMs = 12000, secret = "", headers = {} } = {}) {
+  const f = await getFetch();
+  const ac = new AbortController();
+  const t = setTimeout(() => ac.abort(), timeoutMs);
+
+  const raw = JSON.stringify(body);
+  const allHeaders = { "Content-Type": "application/json", ...headers };
+  if (secret) {
+    const { timestamp, signature } = signPayload(raw, secret);
+    allHeaders["X-Signature"] = signature;
+    allHeaders["X-Signature-Timestamp"] = timestamp;
+  }
+
+  let res, text;
+  try {
+    res = await f(url, {
+      method: "POST",
+      headers: allHeaders,
+      body: raw,
+      signal: ac.signal,
+    });
+    text = await res.text().catch(() => "");
+  } catch (err) {
+    clearTimeout(t);
+    const msg = err?.message || String(err);
+    console.error("[webhook] network error:", msg);
+    return { ok: false, status: 0, text: msg };
+  }
+
+  clearTimeout(t);
+  return { ok: res.ok, status: res.status, text };
+}
+
+// ---------------------------------------------------------------------------
+// Cola persistente de entregas con reintentos (backoff exponencial) y
+// dead-letter (DATA_DIR/webhook-queue.json y DATA_DIR/webhook-dead.json)
+// ---------------------------------------------------------------------------
+export function createWebhookQueue({
+  file = "webhook-queue.json",
+  deadFile = "webhook-dead.json",
+  secret = (process.env.WEBHOOK_SECRET || "").trim(),
+  maxAttempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8),
+  baseDelayMs = Number(process.env.WEBHOOK_RETRY_BASE_SEC || 10) * 1000,
+  maxDelayMs = 60 * 60 * 1000,
+  pollMs = 5000,
+} = {}) {
+  const queueFile = createJsonFile(file, []);
+  const deadLetter = createJsonFile(deadFile, []);
+  let pending = null;
+  let dead = null;
+  let timer = null;
+  let running = false;
+  let lastDelivery = null;
+  const delivering = new Set(); // ids en vuelo (evita doble envío cola/inmediato)
+
+  async function load() {
+    if (!pending) pending = await queueFile.read();
+    if (!dead) dead = await deadLetter.read();
+  }
+  const persist = () => Promise.all([queueFile.save(pending), deadLetter.save(dead)]);
+
+  // 10 s, 20 s, 40 s… con un poco de jitter y tope de 1 h
+  function nextDelay(attempts) {
+    const exp = Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+    return Math.round(exp * (0.8 + Math.random() * 0.4));
+  }
+
+  async function deliver(job) {
+    if (delivering.has(job.id)) return null;
+    delivering.add(job.id);
+    try {
+      return await attemptDelivery(job);
+    } finally {
+      delivering.delete(job.id);
+    }
+  }
+
+  async function attemptDelivery(job) {
+    job.attempts++;
+    job.lastAttemptAt = new Date().toISOString();
+    const result = await postJSON(job.url, job.payload, {
+      secret,
+      headers: { "X-Delivery-Id": job.id, "X-Delivery-Attempt": String(job.attempts) },
+    });
+    lastDelivery = { id: job.id, at: job.lastAttemptAt, ok: result.ok, status: result.status };
+
+    if (result.ok) {
+      pending = pending.filter((j) => j.id !== job.id);
+      console.log(`[webhook] OK ${result.status} · entrega ${job.id} (intento ${job.attempts})`);
+    } else {
+      job.lastError = `${result.status} ${String(result.text || "").slice(0, 500)}`;
+      if (job.attempts >= maxAttempts) {
+        pending = pending.filter((j) => j.id !== job.id);
+        dead.push({ ...job, deadAt: new Date().toISOString() });
+        console.error(`[webhook] DEAD-LETTER entrega ${job.id} tras ${job.attempts} intentos:`, job.lastError);
+      } else {
+        job.nextAttemptAt = new Date(Date.now() + nextDelay(job.attempts)).toISOString();
+        console.error(`[webhook] FAIL entrega ${job.id} (intento ${job.attempts}); reintento ${job.nextAttemptAt}`);
+      }
+    }
+    await persist();
+    return result;
+  }
+
+  async function processDue() {
+    if (running) return;
+    running = true;
+    try {
+      await load();
+      const now = new Date().toISOString();
+      for (const job of pending.filter((j) => j.nextAttemptAt <= now)) {
+        await deliver(job);
+      }
+    } catch (e) {
+      console.error("[webhook] ERROR procesando cola:", e);
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    // Encola y devuelve el id de entrega
+    async enqueue(url, payload, { event = "test.finished" } = {}) {
+      await load();
+      const job = {
+        id: crypto.randomUUID(),
+        event,
+        url,
+        payload,
+        attempts: 0,
+        createdAt: new Date().toISOString(),
+        nextAttemptAt: new Date().toISOString(),
+        lastError: null,
+      };
+      pending.push(job);
+      await persist();
+      return job.id;
+    },
+    // Primer intento inmediato (para devolver diagnóstico); si falla queda en cola
+    async deliverNow(id) {
+      await load();
+      const job = pending.find((j) => j.id === id);
+      if (!job) return null;
+      return deliver(job);
+    },
+    start() {
+      if (timer) return;
+      timer = setInterval(processDue, pollMs);
+      timer.unref();
+      processDue();
+    },
+    processDue,
+    async status() {
+      await load();
+      const next = pending.map((j) => j.nextAttemptAt).sort()[0] || null;
+      return {
+        signed: !!secret,
+        pending: pending.length,
+        dead: dead.length,
+        nextAttemptAt: next,
+        lastDelivery,
+      };
+    },
+    async listPending() {
+      await load();
+      return pending;
+    },
+    async listDead() {
+      await load();
+      return dead;
+    },
+    // Devuelve una entrega muerta a la cola y la intenta al momento
+    async replay(id) {
+      await load();
+      const job = dead.find((j) => j.id === id);
+      if (!job) return null;
+      dead = dead.filter((j) => j.id !== id);
+      const { deadAt, ...rest } = job;
+      const now = new Date().toISOString();
+      const revived = { ...rest, attempts: 0, nextAttemptAt: now, replayedAt: now };
+      pending.push(revived);
+      await persist();
+      return deliver(revived);
+    },
+    // Quita de la cola y del dead-letter las entregas cuyo payload cumpla `match`
+    // (borrado RGPD); las que están en vuelo terminan su intento actual
+    async forget(match) {
+      await load();
+      const before = pending.length + dead.length;
+      pending = pending.filter((j) => !match(j.payload));
+      dead = dead.filter((j) => !match(j.payload));
+      const removed = before - pending.length - dead.length;
+      if (removed) await persist();
+      return removed;
+    },
+  };
+}
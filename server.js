@@ -2,41 +2,185 @@ import "dotenv/config";
 import express from "express";
 import cors from "cors";
 import crypto from "crypto";
-import { extractMainTextFromUrl } from "./lib/extract.js";
-import { generateQuestionBank } from "./lib/generate.js";
+import { extractMainTextCached } from "./lib/extract.js";
+import { createAttemptStore, scheduleSweep } from "./lib/attempts.js";
+import { createContentCache } from "./lib/cache.js";
+import { createQuestionPools, poolKey, validateQuestionEdit, QUESTION_STATUSES } from "./lib/pool.js";
+import { requireAdmin, requireHr, requireAttemptToken, issueAttemptToken, identify } from "./lib/auth.js";
+import { createSourceCatalog, validateSource, DEFAULT_RESTAURANT } from "./lib/sources.js";
+import { createTemplateCatalog, validateTemplate, DIFFICULTIES } from "./lib/templates.js";
+import { resolveRole } from "./lib/roles.js";
+import { providerInfo, setUsageMeter } from "./lib/llm.js";
+import { OFFLINE_TYPES } from "./lib/offline.js";
+import { normalizeQuestion } from "./lib/validate.js";
+import {
+  normalizeDni,
+  candidateHistory,
+  checkStartPolicy,
+  isOpen,
+  isPractice,
+  ATTEMPT_MODES,
+  POLICY,
+} from "./lib/policy.js";
+import { logAudit, readAudit, eraseAudit } from "./lib/audit.js";
+import { postJSON, createWebhookQueue } from "./lib/webhooks.js";
+import { createNotifier, validateChannels, EVENTS } from "./lib/notify.js";
+import {
+  summarizeResult,
+  validateResultsQuery,
+  filterResults,
+  resultsToCsv,
+  resultsToXlsx,
+} from "./lib/results.js";
+import { timeLimitsFor, deadlineFor, isPastDeadline, remainingSec, measureAnswer } from "./lib/timing.js";
+import { createJobRegistry } from "./lib/jobs.js";
+import { createUsageMeter } from "./lib/usage.js";
+import { createRateLimiter } from "./lib/ratelimit.js";
+import { createHistoryStore } from "./lib/history.js";
+import { createInvitationStore, validateInvitation, INVITATION_STATUSES } from "./lib/invitations.js";
+import { serveNext, targetLevel, ADAPTIVE_RESERVE_FACTOR } from "./lib/adaptive.js";
+import { computeItemStats } from "./lib/itemstats.js";
+import {
+  validateDocument,
+  protectDni,
+  protectRecord,
+  piiModes,
+  scheduleRetention,
+  RETENTION_DAYS,
+  PII_SECRET_STABLE,
+} from "./lib/privacy.js";
+import { LANGUAGES, resolveLanguage, isStartCommand, t } from "./lib/i18n.js";
+import {
+  DEFAULT_TYPES,
+  typeOf,
+  levelOf,
+  structuralError,
+  prepareForAttempt,
+  renderQuestion,
+  parseAnswer,
+  scoreAnswer,
+  describeCorrect,
+  describeAnswer,
+} from "./lib/questions.js";
+import { createUploadStore, isUploadUrl, UPLOAD_SCHEME, MAX_UPLOAD_MB } from "./lib/uploads.js";
 
 const app = express();
 const NUM_QUESTIONS = Number(process.env.NUM_QUESTIONS || 10);
 const WEBHOOK_URL = (process.env.WEBHOOK_URL || "").trim();
+const WEBHOOK_SECRET = (process.env.WEBHOOK_SECRET || "").trim();
+// QUESTION_REVIEW_MODE=approved → solo se sirven preguntas aprobadas por un responsable
+const APPROVED_ONLY = (process.env.QUESTION_REVIEW_MODE || "any").trim() === "approved";
+// Minutos en los que se reutiliza el texto cacheado sin revalidar con el servidor
+const CONTENT_CACHE_MAX_AGE_MIN = Number(process.env.CONTENT_CACHE_MAX_AGE_MIN || 10);
+// REQUIRE_INVITATION=1 → solo se puede empezar con una invitación de RRHH
+const REQUIRE_INVITATION = ["1", "true"].includes((process.env.REQUIRE_INVITATION || "").trim());
+// Enlace que se entrega al candidato; se le añade ?token=…
+const INVITATION_LINK_BASE = (process.env.INVITATION_LINK_BASE || "").trim();
+// Detrás de un proxy (Render, nginx…) para que req.ip sea la IP real del candidato
+const TRUST_PROXY = (process.env.TRUST_PROXY || "").trim();
+// Arranques de test permitidos por IP y por DNI en la ventana (0 = sin límite).
+// Sin TRUST_PROXY el límite por IP va apagado por defecto: detrás de un proxy todos
+// los candidatos llegarían con la IP del proxy y compartirían el cupo
+const START_RATE_WINDOW_MIN = Number(process.env.START_RATE_WINDOW_MIN || 60);
+const START_RATE_LIMIT_IP = Number(process.env.START_RATE_LIMIT_IP ?? (TRUST_PROXY ? 20 : 0));
+const START_RATE_LIMIT_DNI = Number(process.env.START_RATE_LIMIT_DNI ?? 5);
+// Orígenes permitidos para CORS, separados por comas ("*" = cualquiera)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((o) => o.trim().replace(/\/+$/, ""))
+  .filter(Boolean);
+
+// "1" → un salto; "true" → cualquiera; otro valor (IPs o subredes) tal cual
+if (TRUST_PROXY) {
+  app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === "true" ? true : TRUST_PROXY);
+} else if (START_RATE_LIMIT_IP > 0) {
+  console.warn(
+    `[ratelimit] ⚠️ START_RATE_LIMIT_IP=${START_RATE_LIMIT_IP} sin TRUST_PROXY: detrás de un proxy todos los ` +
+      "candidatos comparten su IP y el cupo; define TRUST_PROXY (p. ej. 1) o pon START_RATE_LIMIT_IP=0"
+  );
+}
 
 // --- CORS + JSON ---
+if (!CORS_ORIGINS.length) {
+  console.warn("[cors] CORS_ORIGINS no definido; se acepta cualquier origen");
+}
 app.use(
   cors({
-    origin: true,
+    origin: !CORS_ORIGINS.length || CORS_ORIGINS.includes("*") ? true : CORS_ORIGINS,
     credentials: false,
   })
 );
-app.use(express.json({ limit: "2mb" }));
-
-// --- URLs fijas (tus 3 manuales) ---
-const SOURCES = {
-  procedimiento:
-    "https://966e7448.delivery.rocketcdn.me/wp-content/uploads/manuales/pez-vela/GT2025-RRHH-PezVela-Manual-de-procedimiento.pdf",
-  maridaje:
-    "https://966e7448.delivery.rocketcdn.me/wp-content/uploads/manuales/pez-vela/GT2025-RRHH-PezVela-maridaje.pdf",
-  recetario:
-    "https://966e7448.delivery.rocketcdn.me/wp-content/uploads/manuales/pez-vela/GT2025-RRHH-PezVela-recetario.pdf",
+// Las subidas se leen en crudo en su ruta (express.raw): un fichero .json no debe llegar ya parseado
+const UPLOAD_PATH = /^\/api\/admin\/uploads\/?$/i;
+const jsonBody = express.json({ limit: "2mb" });
+app.use((req, res, next) => (req.method === "POST" && UPLOAD_PATH.test(req.path) ? next() : jsonBody(req, res, next)));
+
+// --- Catálogo de fuentes por restaurante (antes: 3 URLs fijas de Pez Vela) ---
+const catalog = createSourceCatalog();
+// --- Plantillas de test (nº de preguntas, mezcla de fuentes, nota de corte, tiempo) ---
+const templates = createTemplateCatalog();
+
+// 💾 Intentos: memoria por defecto, fichero con ATTEMPT_STORE=file
+const attempts = createAttemptStore();
+scheduleSweep(attempts);
+// 📒 Historial por DNI para la política de repeticiones (sobrevive al barrido y a reinicios)
+const history = createHistoryStore();
+attempts
+  .list()
+  .then((list) => history.importAttempts(list))
+  .then((n) => n && console.log(`[history] ${n} intentos previos añadidos al historial`))
+  .catch((e) => console.error("[history] ERROR importando intentos:", e));
+// 🗑️ Retención de datos: RETENTION_DAYS=N borra los intentos de más de N días
+scheduleRetention(attempts);
+// 📮 Cola persistente de entregas al webhook (reintentos + dead-letter)
+const webhookQueue = createWebhookQueue();
+webhookQueue.start();
+// 🔔 Notificaciones adicionales (varios webhooks con filtro de eventos, emails a RRHH y candidato)
+const notifier = createNotifier({ webhookQueue });
+
+// Historial del DNI con el estado vivo de los intentos sin cerrar; si el intento ya no
+// existe (caducado por ATTEMPT_TTL_HOURS, memoria reiniciada, retención) queda como abandonado
+async function dniHistory(dni) {
+  const out = [];
+  for (const entry of await history.list(dni)) {
+    if (entry.finishedAt || entry.abandonedAt) {
+      out.push(entry);
+      continue;
+    }
+    const live = await attempts.get(entry.attemptId);
+    if (!live) {
+      out.push(await history.update(dni, entry.attemptId, { abandonedAt: new Date().toISOString() }));
+      continue;
+    }
+    const { updatedAt, finishedAt, deadlineAt } = live;
+    out.push({ ...entry, updatedAt, finishedAt, deadlineAt });
+  }
+  return out;
+}
+
+// DNIs con un start-test en marcha (evita dos arranques simultáneos del mismo candidato)
+const startingDnis = new Set();
+// ⏳ Arranques en segundo plano (start-test asíncrono con progreso)
+const startJobs = createJobRegistry();
+// 🚦 Límite de arranques (cada uno puede costar varias generaciones con IA)
+const startLimits = {
+  ip: createRateLimiter({ windowMs: START_RATE_WINDOW_MIN * 60 * 1000, max: START_RATE_LIMIT_IP }),
+  dni: createRateLimiter({ windowMs: START_RATE_WINDOW_MIN * 60 * 1000, max: START_RATE_LIMIT_DNI }),
 };
+// ✉️ Invitaciones de RRHH con token de un solo uso
+const invitations = createInvitationStore();
+// 💶 Consumo de tokens y presupuesto del LLM; agotado, se sirven los pools en caché
+const llmUsage = createUsageMeter();
+setUsageMeter(llmUsage);
 
-// 💾 Intentos en memoria (en prod: BD/Redis)
-const attempts = new Map();
+// 📚 Caché de texto extraído + pools de preguntas pre-generadas por fuente
+const contentCache = createContentCache();
+const pools = createQuestionPools();
+// 📎 Documentos subidos (DOCX, Markdown, texto, PDF) para usar como fuente
+const uploads = createUploadStore();
 
 // --- Helpers ---
 const toLetter = (i) => String.fromCharCode(65 + i);
-function letterToIndex(letter) {
-  const L = String(letter || "").trim().toUpperCase();
-  return { A: 0, B: 1, C: 2, D: 3 }[L] ?? -1;
-}
 function shuffle(arr) {
   const a = [...arr];
   for (let i = a.length - 1; i > 0; i--) {
@@ -45,396 +189,1377 @@ function shuffle(arr) {
   }
   return a;
 }
-// Reparto equitativo por fuente, resto → procedimiento, luego maridaje, luego recetario
-function allocateCounts(total) {
-  const base = Math.floor(total / 3);
-  let remainder = total % 3;
-  const order = ["procedimiento", "maridaje", "recetario"];
-  const out = { procedimiento: base, maridaje: base, recetario: base };
-  for (const k of order) {
+// Reparto por pesos (método del mayor resto); empates → orden del catálogo
+function allocateCounts(total, sources) {
+  const sum = sources.reduce((acc, s) => acc + s.weight, 0);
+  const exact = sources.map((s) => (total * s.weight) / sum);
+  const out = {};
+  sources.forEach((s, i) => (out[s.key] = Math.floor(exact[i])));
+  let remainder = total - Object.values(out).reduce((a, b) => a + b, 0);
+  const order = sources
+    .map((s, i) => ({ key: s.key, frac: exact[i] - Math.floor(exact[i]), i }))
+    .sort((a, b) => b.frac - a.frac || a.i - b.i);
+  for (const { key } of order) {
     if (remainder <= 0) break;
-    out[k]++;
+    out[key]++;
     remainder--;
   }
   return out;
 }
 
-// --- Normalización para quitar “A) ”, “1.”, etc. del prompt y las opciones ---
-const LEADING_LABEL_RE = /^\s*(?:([A-Da-d])|([1-4]))[\)\.\-:]\s+|\s*^[A-Da-d]\)\s+|\s*^\d+\)\s+/;
-function stripLeadingLabel(str = "") {
-  let s = String(str).trim();
-  // elimina patrones comunes A) / a) / 1) / 1. / 1- :
-  s = s.replace(/^\s*([A-Da-d]|[1-4])[\)\.\-:]\s+/, "");
-  // si el modelo repite doble prefijo raro, limpiar otra vez
-  s = s.replace(/^\s*([A-Da-d]|[1-4])[\)\.\-:]\s+/, "");
-  return s.trim();
-}
-function normalizeQuestion(q) {
-  const opts = Array.isArray(q.options) ? q.options : [];
-  const cleanOpts = opts.map((o) => stripLeadingLabel(o));
-  return {
-    ...q,
-    prompt: stripLeadingLabel(q.prompt || ""),
-    options: cleanOpts,
-  };
-}
-
-// --- fetch fallback (por si el runtime no trae global.fetch) ---
-async function getFetch() {
-  if (typeof fetch === "function") return fetch;
-  const nf = (await import("node-fetch")).default;
-  return nf;
-}
-
-// Helper POST JSON (para Make) con logs
-async function postJSON(url, body, timeoutMs = 12000) {
-  const f = await getFetch();
-  const ac = new AbortController();
-  const t = setTimeout(() => ac.abort(), timeoutMs);
-
-  let res, text;
-  try {
-    res = await f(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(body),
-      signal: ac.signal,
-    });
-    text = await res.text().catch(() => "");
-  } catch (err) {
-    clearTimeout(t);
-    const msg = err?.message || String(err);
-    console.error("[webhook] network error:", msg);
-    return { ok: false, status: 0, text: msg };
+// Texto de una fuente, pasando por la caché de contenido
+async function loadSourceText(key, url, { onProgress } = {}) {
+  const out = await extractMainTextCached(url, contentCache, {
+    maxAgeMs: CONTENT_CACHE_MAX_AGE_MIN * 60 * 1000,
+    onProgress,
+  });
+  console.log(`[start-test] ${key} extracción OK (${out.cache}) · chars:`, (out.text && out.text.length) || 0);
+  if (!out.text || !String(out.text).trim() || String(out.text).trim().length < 200) {
+    throw new Error(`Texto extraído insuficiente en ${key} (menos de 200 caracteres)`);
   }
-
-  clearTimeout(t);
-  return { ok: res.ok, status: res.status, text };
+  return { url, ...out };
 }
 
 // --- Salud ---
 app.get("/health", (req, res) =>
-  res.json({ ok: true, numQuestions: NUM_QUESTIONS })
+  res.json({
+    ok: true,
+    numQuestions: NUM_QUESTIONS,
+    attemptStore: attempts.kind,
+    llm: providerInfo(),
+    privacy: { pii: piiModes(), retentionDays: RETENTION_DAYS },
+  })
 );
 
 // --- START ---
-app.post("/api/start-test", async (req, res) => {
-  const t0 = Date.now();
-  try {
-    const { dni, candidateName, startCommand, source = "all" } = req.body || {};
-
-    // Validaciones
-    if (!candidateName || String(candidateName).trim().length < 3) {
-      return res.status(400).json({ error: "Nombre y apellidos inválidos" });
-    }
-    if (!dni || !/^[A-Za-z0-9\-]{5,}$/.test(String(dni).trim())) {
-      return res.status(400).json({ error: "DNI inválido" });
-    }
-    if (startCommand !== "Realizar Test") {
-      return res
-        .status(400)
-        .json({ error: "Debes escribir exactamente: Realizar Test" });
-    }
-
-    // Si piden una sola fuente, generamos solo de esa
-    if (["procedimiento", "maridaje", "recetario"].includes(source)) {
-      const url = SOURCES[source];
-      console.log("[start-test] fuente única:", source, url);
-
-      // 1) Extraer texto
-      let title, text;
-      try {
-        const out = await extractMainTextFromUrl(url);
-        title = out.title;
-        text = out.text;
-        console.log(
-          "[start-test] extracción OK · chars:",
-          (text && text.length) || 0
-        );
-        if (!text || text.trim().length < 200) {
-          throw new Error("Texto extraído insuficiente (menos de 200 caracteres)");
-        }
-      } catch (e) {
-        console.error("[start-test] ERROR extrayendo texto:", e);
-        return res.status(500).json({
-          error: "Fallo al extraer texto de la fuente",
-          detail: String(e?.message || e),
-        });
-      }
+// Valida la petición, aplica la política y calcula el reparto. Devuelve
+// { fail: { status, body, headers } } o el plan que ejecuta runStart().
+// Si devuelve plan, el DNI queda bloqueado hasta que runStart() termine.
+async function planStart(input, { ip, auth = null } = {}) {
+  const fail = (status, payload, headers = {}) => ({ fail: { status, body: payload, headers } });
+  // Personal del restaurante: credencial de RRHH o admin
+  const staff = ["admin", "hr"].includes(auth?.role);
 
-      // 2) Generar preguntas con IA (usará NUM_QUESTIONS)
-      let bank;
-      try {
-        bank = await generateQuestionBank({ text, role: "" }); // devuelve NUM_QUESTIONS
-      } catch (e) {
-        console.error("[start-test] ERROR generando preguntas:", e);
-        return res.status(500).json({
-          error: "Fallo al generar preguntas con IA",
-          detail: String(e?.message || e),
-        });
-      }
+  // Con invitación, sus datos sustituyen a los que escriba el candidato
+  let body = input || {};
+  let invitation = null;
+  if (body.invitationToken) {
+    const lang = resolveLanguage(body.language) || "es";
+    invitation = await invitations.findByToken(String(body.invitationToken));
+    if (!invitation || invitation.status === "revoked") {
+      return fail(404, { error: t(lang, "invitation_invalid"), reason: "invitation_invalid" });
+    }
+    if (invitation.status === "started" || invitation.status === "completed") {
+      return fail(409, { error: t(lang, "invitation_used"), reason: "invitation_used" });
+    }
+    if (invitation.status === "expired") {
+      return fail(410, { error: t(lang, "invitation_expired"), reason: "invitation_expired" });
+    }
+    body = {
+      startCommand: body.startCommand,
+      dni: invitation.dni,
+      candidateName: invitation.candidateName,
+      email: invitation.email ?? undefined,
+      role: invitation.role ?? undefined,
+      templateId: invitation.templateId ?? undefined,
+      restaurantId: invitation.restaurantId ?? undefined,
+      language: invitation.language ?? body.language,
+      mode: invitation.mode ?? "exam",
+    };
+  } else if (REQUIRE_INVITATION && !(staff && body.mode === "practice")) {
+    // La práctica del personal autenticado no necesita invitación
+    const lang = resolveLanguage(body.language) || "es";
+    return fail(403, { error: t(lang, "invitation_required"), reason: "invitation_required" });
+  }
 
-      // Normalizar, etiquetar con la fuente y garantizar IDs únicos
-      const tagged = bank.map((q) => ({
-        ...normalizeQuestion(q),
-        id: `${source}__${q.id}`,
-        source,
-      }));
+  const {
+    dni,
+    candidateName,
+    startCommand,
+    source = "all",
+    restaurantId = DEFAULT_RESTAURANT,
+    templateId,
+    role,
+    email,
+    mode = "exam",
+    adaptive,
+  } = body;
 
-      // Guardar intento
-      const attemptId = crypto.randomUUID();
-      attempts.set(attemptId, {
-        dni,
-        candidateName,
-        urls: [url],
-        title,
-        startedAt: new Date().toISOString(),
-        questions: tagged,
-        answers: [],
-      });
+  // Idioma del candidato: preguntas y mensajes; los manuales siguen en español
+  const language = resolveLanguage(body.language);
+  if (!language) {
+    return fail(400, { error: `Idioma no soportado (${Object.keys(LANGUAGES).join(", ")})` });
+  }
+  // El generador offline no traduce: mejor decirlo que servir preguntas en español como si no lo fueran
+  if (language !== "es" && providerInfo().provider === "offline") {
+    return fail(400, { error: t(language, "language_unavailable"), reason: "language_unavailable" });
+  }
+  // Práctica: formación del personal con corrección inmediata; no es un examen oficial
+  if (!ATTEMPT_MODES.includes(mode)) {
+    return fail(400, { error: `Modo no soportado (${ATTEMPT_MODES.join(", ")})` });
+  }
+  const practice = mode === "practice";
+  // La práctica enseña las respuestas al momento: solo para personal (autenticado o
+  // con una invitación de práctica creada por RRHH)
+  if (practice && !staff && !invitation) {
+    return fail(403, { error: t(language, "practice_staff_only"), reason: "practice_staff_only" });
+  }
 
-      console.log(
-        `[start-test] OK (single source) · attemptId=${attemptId} · ${Date.now() - t0}ms`
-      );
+  // Validaciones
+  if (!candidateName || String(candidateName).trim().length < 3) {
+    return fail(400, { error: t(language, "invalid_name") });
+  }
+  // DNI o NIE con letra de control; si no lo parece, pasaporte
+  const doc = validateDocument(dni);
+  if (doc.error) {
+    return fail(400, { error: t(language, doc.reason === "letter" ? "invalid_dni_letter" : "invalid_dni") });
+  }
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email).trim())) {
+    return fail(400, { error: t(language, "invalid_email") });
+  }
+  if (!isStartCommand(language, startCommand)) {
+    return fail(400, { error: t(language, "start_command", { command: LANGUAGES[language].startCommand }) });
+  }
 
-      return res.json({
-        attemptId,
-        sourceTitle: title,
-        numQuestions: tagged.length,
-        questions: tagged.map((q) => ({
-          id: q.id,
-          prompt: q.prompt,
-          options: q.options,
-        })),
-      });
+  // Política: un intento abierto por DNI, máximo de intentos y espera entre repeticiones.
+  // Las prácticas no cuentan para el máximo ni la espera, pero tampoco se abren con
+  // otro intento (examen o práctica) en curso
+  // El DNI se bloquea antes del primer await: dos arranques simultáneos no pueden
+  // pasar los dos la comprobación (ni gastar dos veces la misma invitación)
+  const dniKey = doc.value.dni;
+  let refusal = startingDnis.has(dniKey)
+    ? { reason: "open_attempt", status: 409, error: "Ya tienes un test en curso" }
+    : null;
+  if (!refusal) {
+    startingDnis.add(dniKey);
+    try {
+      refusal = checkStartPolicy(await dniHistory(dniKey), { openOnly: practice });
+    } catch (e) {
+      startingDnis.delete(dniKey);
+      throw e;
+    }
+    if (refusal) startingDnis.delete(dniKey);
+  }
+  if (refusal) {
+    console.warn(`[start-test] RECHAZADO · dni=${protectDni(dni)} · motivo=${refusal.reason}`);
+    await logAudit("start_refused", { dni, candidateName, reason: refusal.reason, ip });
+    const error = t(language, refusal.reason, {
+      max: POLICY.maxAttempts,
+      hours: Math.ceil((refusal.retryAfterSec || 0) / 3600),
+    });
+    return fail(
+      refusal.status,
+      { error, reason: refusal.reason },
+      refusal.retryAfterSec ? { "Retry-After": String(refusal.retryAfterSec) } : {}
+    );
+  }
+  let handedOff = false;
+
+  try {
+    // La invitación pudo gastarse mientras se esperaba el bloqueo del DNI
+    if (invitation && (await invitations.get(invitation.id))?.status !== "pending") {
+      return fail(409, { error: t(language, "invitation_used"), reason: "invitation_used" });
+    }
+    // Plantilla opcional; sin ella: NUM_QUESTIONS, pesos del catálogo y sin nota de corte
+    let template = null;
+    if (templateId) {
+      template = await templates.get(String(templateId));
+      if (!template) return fail(400, { error: t(language, "template_not_found") });
+    }
+    const numQuestions = template?.numQuestions ?? NUM_QUESTIONS;
+    // Adaptativo: una pregunta cada vez según cómo va; necesita preguntas de todos los niveles
+    // Lo decide la plantilla; el body solo cuenta si lo pide el personal
+    // (cambia la dificultad a "mixta" y genera pools más grandes)
+    const isAdaptive = Boolean((staff ? adaptive : undefined) ?? template?.adaptive);
+    const difficulty = isAdaptive ? "mixta" : template?.difficulty ?? "dificil";
+    const approvedOnly = template?.approvedOnly ?? APPROVED_ONLY;
+    const types = template?.questionTypes ?? DEFAULT_TYPES;
+    // El generador offline no hace multirespuesta ni ordenación: mejor decirlo que
+    // servir tipos que la plantilla excluye
+    if (providerInfo().provider === "offline" && !types.some((type) => OFFLINE_TYPES.includes(type))) {
+      console.warn(`[start-test] plantilla ${template?.id}: tipos ${types.join(", ")} sin generador offline`);
+      return fail(400, { error: t(language, "types_unavailable"), reason: "types_unavailable" });
+    }
+    // Puesto del candidato (o el de la plantilla) → orientación al generador;
+    // fuera del catálogo no cuenta (no abre pools nuevos)
+    const roleProfile = resolveRole(role) ?? resolveRole(template?.role);
+
+    // Fuentes activas del restaurante
+    const restaurant = await catalog.getRestaurant(restaurantId);
+    const available = await catalog.list(restaurantId, { enabledOnly: true });
+    if (!restaurant || !available.length) {
+      return fail(400, { error: t(language, "no_sources") });
     }
 
-    // Caso por defecto: 3 fuentes, reparto equitativo
-    const counts = allocateCounts(NUM_QUESTIONS); // {procedimiento:x, maridaje:y, recetario:z}
+    // Si piden una sola fuente, generamos solo de esa; si no, todas según su peso
+    const single = source !== "all";
+    let selected = single ? available.filter((s) => s.key === source) : available;
+    if (!selected.length) {
+      return fail(400, { error: t(language, "unknown_source") });
+    }
+    // La distribución de la plantilla sustituye a los pesos del catálogo
+    if (template?.distribution && !single) {
+      selected = selected
+        .map((s) => ({ ...s, weight: Number(template.distribution[s.key] || 0) }))
+        .filter((s) => s.weight > 0);
+      if (!selected.length) {
+        return fail(400, { error: t(language, "template_no_sources") });
+      }
+    } else if (roleProfile && !single) {
+      // Sin distribución explícita, el puesto inclina el reparto hacia sus fuentes
+      selected = selected.map((s) => ({ ...s, weight: s.weight * (roleProfile.sourceBias[s.key] || 1) }));
+    }
+    const counts = allocateCounts(numQuestions, selected);
     console.log("[start-test] reparto por fuente:", counts);
 
-    // 1) Extraer cada PDF por separado
-    let titles = {};
-    let texts = {};
-    try {
-      for (const key of Object.keys(SOURCES)) {
-        const { title, text } = await extractMainTextFromUrl(SOURCES[key]);
-        titles[key] = title;
-        texts[key] = text;
-        console.log(`[start-test] ${key} extracción OK · chars:`, (text && text.length) || 0);
-        if (!text || !String(text).trim() || String(text).trim().length < 200) {
-          throw new Error(`Texto extraído insuficiente en ${key} (menos de 200 caracteres)`);
-        }
+    handedOff = true;
+    return {
+      dni: dniKey,
+      dniKey,
+      documentType: doc.value.documentType,
+      candidateName,
+      email: email ? String(email).trim() : null,
+      language,
+      mode,
+      adaptive: isAdaptive,
+      invitationId: invitation?.id ?? null,
+      restaurantId,
+      restaurant,
+      template,
+      difficulty,
+      approvedOnly,
+      types,
+      roleProfile,
+      single,
+      selected,
+      counts,
+    };
+  } finally {
+    if (!handedOff) startingDnis.delete(dniKey);
+  }
+}
+
+// Pasa las preguntas que falten en una fuente (caída o con pool corto) a las
+// demás que tengan de sobra, de una en una para repartir la carga
+function rebalanceCounts(counts, banks, keys) {
+  const out = {};
+  let missing = 0;
+  for (const k of keys) {
+    out[k] = Math.min(counts[k], banks[k]?.length ?? 0);
+    missing += counts[k] - out[k];
+  }
+  let moved = true;
+  while (missing > 0 && moved) {
+    moved = false;
+    for (const k of keys) {
+      if (missing > 0 && banks[k] && out[k] < banks[k].length) {
+        out[k]++;
+        missing--;
+        moved = true;
       }
-    } catch (e) {
-      console.error("[start-test] ERROR extrayendo textos:", e);
-      return res.status(500).json({
-        error: "Fallo al extraer texto de las fuentes",
-        detail: String(e?.message || e),
-      });
     }
+  }
+  return { counts: out, missing };
+}
 
-    // 2) Generar banco por cada fuente
-    let banks = {};
-    try {
-      for (const key of Object.keys(SOURCES)) {
-        const bank = await generateQuestionBank({ text: texts[key], role: "" }); // devuelve NUM_QUESTIONS
-        // Normalizar cada pregunta del banco
-        banks[key] = bank.map((q) => normalizeQuestion(q));
-        console.log(`[start-test] generación OK en ${key} · tamaño banco:`, bank?.length);
+// Extrae una fuente y asegura su pool; `progress(stage, detail)` informa de cada fase
+async function prepareSource(plan, s, progress) {
+  const extracted = await loadSourceText(s.key, s.url, { onProgress: (stage) => progress(stage) });
+  progress("generando");
+  const gen = {
+    difficulty: plan.difficulty,
+    role: plan.roleProfile,
+    language: plan.language,
+    types: plan.types,
+    mode: plan.mode,
+  };
+  const pool = await pools.ensure(poolKey(plan.restaurantId, s.key, gen), extracted, {
+    ...gen,
+    // En adaptativo se reservan varias candidatas por pregunta para poder elegir nivel
+    minSize: plan.counts[s.key] * (plan.adaptive ? ADAPTIVE_RESERVE_FACTOR : 1),
+  });
+  // Nunca las rechazadas; en modo "solo aprobadas", solo las revisadas y aprobadas
+  const bank = pool.questions
+    .filter((q) => q.status !== "rejected" && (!plan.approvedOnly || q.status === "approved"))
+    .map((q) => normalizeQuestion(q));
+  console.log(`[start-test] pool OK en ${s.key} · disponibles:`, bank.length);
+  progress("listo", { disponibles: bank.length });
+  return { extracted, bank };
+}
+
+// Trabajo pesado del arranque: fuentes en paralelo, selección y guardado del intento.
+// Devuelve { status, body } (nunca lanza) y libera el bloqueo del DNI al terminar.
+async function runStart(plan, progress = { stage() {}, source() {} }) {
+  const t0 = Date.now();
+  const { selected, counts, single, template, roleProfile, restaurant, restaurantId, language } = plan;
+  const keys = selected.map((s) => s.key);
+  try {
+    // 1) y 2) Por fuente y en paralelo: extraer (caché por ETag/Last-Modified/hash)
+    // y asegurar su pool (solo se genera con IA si el manual cambió)
+    progress.stage("fuentes");
+    const settled = await Promise.allSettled(
+      selected.map((s) => prepareSource(plan, s, (stage, detail) => progress.source(s.key, stage, detail)))
+    );
+    const extracted = {};
+    const banks = {};
+    const failed = {};
+    settled.forEach((r, i) => {
+      const key = keys[i];
+      if (r.status === "fulfilled") {
+        extracted[key] = r.value.extracted;
+        banks[key] = r.value.bank;
+      } else {
+        failed[key] = String(r.reason?.message || r.reason);
+        console.error(`[start-test] ERROR en la fuente ${key}:`, r.reason);
+        progress.source(key, "error", { error: failed[key] });
       }
-    } catch (e) {
-      console.error("[start-test] ERROR generando preguntas:", e);
-      return res.status(500).json({
-        error: "Fallo al generar preguntas con IA",
-        detail: String(e?.message || e),
-      });
+    });
+
+    if (!Object.keys(banks).length) {
+      return {
+        status: 500,
+        body: { error: t(language, "sources_failed"), detail: failed },
+      };
     }
 
-    // 3) Seleccionar por fuente según counts, etiquetar y combinar
-    const selectedBySource = {};
-    for (const key of Object.keys(banks)) {
-      const need = counts[key];
-      const fromBank = shuffle(banks[key]).slice(0, need).map((q) => ({
-        ...q,
+    // Una fuente caída o corta no tumba el test: sus preguntas salen de las demás
+    // (salvo si se pidió una fuente concreta)
+    const { counts: finalCounts, missing } = single
+      ? { counts, missing: Math.max(0, counts[keys[0]] - banks[keys[0]].length) }
+      : rebalanceCounts(counts, banks, keys);
+    if (Object.keys(failed).length) {
+      console.warn("[start-test] fuentes con error:", Object.keys(failed), "· nuevo reparto:", finalCounts);
+    }
+    if (missing > 0 && plan.approvedOnly) {
+      const short = keys.filter((k) => (banks[k]?.length ?? 0) < counts[k]);
+      console.warn("[start-test] faltan preguntas aprobadas en:", short);
+      return {
+        status: 409,
+        body: {
+          error: t(language, "not_enough_approved"),
+          detail: Object.fromEntries(short.map((k) => [k, `${banks[k]?.length ?? 0}/${counts[k]}`])),
+        },
+      };
+    }
+    if (missing > 0) {
+      console.warn(`[start-test] faltan ${missing} preguntas; el test sale más corto`);
+    }
+
+    // 3) Seleccionar por fuente según el reparto, etiquetar y combinar
+    progress.stage("seleccionando");
+    const used = keys.filter((k) => finalCounts[k] > 0);
+    const take = plan.adaptive ? ADAPTIVE_RESERVE_FACTOR : 1;
+    let combined = [];
+    for (const key of used) {
+      const fromBank = shuffle(banks[key]).slice(0, finalCounts[key] * take).map((q) => ({
+        ...prepareForAttempt(q), // las ordenaciones se barajan en cada intento
         id: `${key}__${q.id}`, // prefijo para unicidad
         source: key,
       }));
-      selectedBySource[key] = fromBank;
+      combined.push(...fromBank);
     }
-
-    let combined = [
-      ...selectedBySource.procedimiento,
-      ...selectedBySource.maridaje,
-      ...selectedBySource.recetario,
-    ];
     combined = shuffle(combined);
+    if (!combined.length) {
+      return { status: 500, body: { error: t(language, "generation_failed"), detail: failed } };
+    }
 
     // 4) Guardar intento
+    const usedSources = selected.filter((s) => used.includes(s.key));
+    const title = single ? extracted[keys[0]].title : usedSources.map((s) => s.label).join(" / ");
     const attemptId = crypto.randomUUID();
-    attempts.set(attemptId, {
-      dni,
-      candidateName,
-      urls: Object.values(SOURCES),
-      title: `Procedimiento / Maridaje / Recetario`,
-      startedAt: new Date().toISOString(),
-      questions: combined, // [{ id, prompt, options, correctIndex, source }]
+    const startedAt = new Date().toISOString();
+    // La práctica va sin reloj: se puede repetir cada pregunta hasta acertarla
+    const { timeLimitMin, questionTimeLimitSec } =
+      plan.mode === "practice" ? { timeLimitMin: null, questionTimeLimitSec: null } : timeLimitsFor(template);
+    const deadlineAt = deadlineFor(startedAt, timeLimitMin);
+    const attempt = {
+      dni: plan.dni,
+      documentType: plan.documentType,
+      candidateName: plan.candidateName,
+      email: plan.email,
+      language,
+      mode: plan.mode,
+      invitationId: plan.invitationId,
+      restaurantId,
+      templateId: template?.id ?? null,
+      role: roleProfile ? { key: roleProfile.key, label: roleProfile.label } : null,
+      difficulty: plan.difficulty,
+      passPercent: template?.passPercent ?? null,
+      timeLimitMin,
+      questionTimeLimitSec,
+      deadlineAt,
+      sources: used,
+      urls: usedSources.map((s) => s.url),
+      title,
+      startedAt,
+      questions: combined, // [{ id, type, prompt, options, correctIndex…, level, source }] (lib/questions.js)
       answers: [],
-    });
+    };
+    if (plan.adaptive) {
+      // Las candidatas quedan en reserva y se sirve solo la primera (nivel medio)
+      Object.assign(attempt, {
+        adaptive: true,
+        numQuestions: used.reduce((sum, k) => sum + finalCounts[k], 0),
+        quota: Object.fromEntries(used.map((k) => [k, finalCounts[k]])),
+        reserve: combined,
+        questions: [],
+      });
+      serveNext(attempt);
+    }
+    await attempts.save(attemptId, attempt);
+    await history.record(plan.dni, { attemptId, mode: plan.mode, startedAt, deadlineAt });
+    // La invitación queda gastada con el intento ya creado (si algo falla antes, sigue valiendo)
+    if (plan.invitationId) await invitations.markStarted(plan.invitationId, attemptId);
+    const total = attempt.numQuestions ?? combined.length;
 
     console.log(
-      `[start-test] OK · attemptId=${attemptId} · total preguntas=${combined.length} · ${Date.now() - t0}ms`
+      `[start-test] OK · attemptId=${attemptId} · total preguntas=${total}${plan.adaptive ? " (adaptativo)" : ""} · ${Date.now() - t0}ms`
     );
+    // Las prácticas no avisan a RRHH
+    if (plan.mode !== "practice") {
+      notifier.emit("test.started", {
+        accion: "inicio",
+        nombre: plan.candidateName,
+        dni: plan.dni,
+        email: plan.email,
+        puesto: roleProfile?.label ?? null,
+        plantilla: template?.id ?? null,
+        intentoId: attemptId,
+        startedAt,
+        deadlineAt,
+        total_preguntas: total,
+      });
+    }
 
-    // 5) Respuesta (sin correctas)
-    return res.json({
-      attemptId,
-      sourceTitle: "Pez Vela – Manuales (3 fuentes)",
-      numQuestions: combined.length,
-      questions: combined.map((q) => ({
-        id: q.id,
-        prompt: q.prompt,
-        options: q.options,
-      })),
-    });
+    // 5) Respuesta (sin correctas) con el token que exigen /api/answer y /api/finish
+    const access = issueAttemptToken(attemptId, { deadlineAt });
+    return {
+      status: 200,
+      body: {
+        attemptId,
+        attemptToken: access.token,
+        attemptTokenExpiresAt: access.expiresAt,
+        sourceTitle: single ? title : `${restaurant.name || restaurantId} – Manuales (${used.length} fuentes)`,
+        numQuestions: total,
+        templateId: template?.id ?? null,
+        role: roleProfile?.label ?? null,
+        language,
+        mode: plan.mode,
+        adaptive: plan.adaptive,
+        timeLimitMin,
+        questionTimeLimitSec,
+        deadlineAt,
+        ...(Object.keys(failed).length ? { failedSources: Object.keys(failed) } : {}),
+        // Sin soluciones; `type`, `answerField` y `render` indican cómo pintarla y contestarla.
+        // En adaptativo solo va la primera: las siguientes llegan en `next` de /api/answer
+        questions: attempt.questions.map(renderQuestion),
+      },
+    };
   } catch (err) {
     console.error("[start-test] ERROR inesperado:", err);
-    return res.status(500).json({
-      error: "No se pudo iniciar el test",
-      detail: String(err?.message || err),
-    });
+    return {
+      status: 500,
+      body: { error: t(language, "start_failed"), detail: String(err?.message || err) },
+    };
+  } finally {
+    startingDnis.delete(plan.dniKey);
+  }
+}
+
+// Modo asíncrono: body.async=true, ?async=1 o cabecera "Prefer: respond-async".
+// Responde 202 con el jobId; el progreso se consulta en /api/start-test/jobs/:jobId
+// (JSON) o se sigue en /api/start-test/jobs/:jobId/events (Server-Sent Events).
+const wantsAsync = (req) =>
+  req.body?.async === true || req.query.async === "1" || /respond-async/i.test(req.get("prefer") || "");
+
+// DNI al que se cuenta el arranque: con invitación, el suyo (el body no lo trae)
+async function startDni(body = {}) {
+  if (body.invitationToken) {
+    const invitation = await invitations.findByToken(String(body.invitationToken));
+    if (invitation) return normalizeDni(invitation.dni);
+  }
+  return body.dni ? normalizeDni(body.dni) : "";
+}
+
+// Por IP y por DNI (el DNI solo se cuenta si la IP no está ya bloqueada)
+async function checkStartRate(req) {
+  let dni = null;
+  for (const by of ["ip", "dni"]) {
+    const key = by === "ip" ? req.ip : (dni = await startDni(req.body));
+    if (!key) continue;
+    const r = startLimits[by].hit(key);
+    if (r.allowed) continue;
+    console.warn(`[start-test] LÍMITE · ${by}=${by === "dni" ? protectDni(key) : key} · reintentar en ${r.retryAfterSec}s`);
+    await logAudit("start_rate_limited", { by, dni: dni || req.body?.dni || null, ip: req.ip });
+    return r;
+  }
+  return null;
+}
+
+app.post("/api/start-test", async (req, res) => {
+  const limited = await checkStartRate(req);
+  if (limited) {
+    const lang = resolveLanguage(req.body?.language) || "es";
+    return res
+      .status(429)
+      .set("Retry-After", String(limited.retryAfterSec))
+      .json({ error: t(lang, "rate_limited", { minutes: Math.ceil(limited.retryAfterSec / 60) }), reason: "rate_limited" });
   }
+
+  let plan;
+  try {
+    plan = await planStart(req.body, { ip: req.ip, auth: identify(req) });
+  } catch (err) {
+    console.error("[start-test] ERROR inesperado:", err);
+    const lang = resolveLanguage(req.body?.language) || "es";
+    return res.status(500).json({ error: t(lang, "start_failed"), detail: String(err?.message || err) });
+  }
+  if (plan.fail) {
+    return res.status(plan.fail.status).set(plan.fail.headers).json(plan.fail.body);
+  }
+
+  if (!wantsAsync(req)) {
+    const out = await runStart(plan);
+    return res.status(out.status).json(out.body);
+  }
+
+  const job = startJobs.create(plan.selected.map((s) => s.key));
+  runStart(plan, {
+    stage: (stage) => startJobs.stage(job.id, stage),
+    source: (key, stage, detail) => startJobs.sourceStage(job.id, key, stage, detail),
+  }).then((out) => startJobs.finish(job.id, out.status, out.body));
+
+  const statusUrl = `/api/start-test/jobs/${job.id}`;
+  return res
+    .status(202)
+    .location(statusUrl)
+    .json({ jobId: job.id, status: job.status, statusUrl, eventsUrl: `${statusUrl}/events` });
+});
+
+app.get("/api/start-test/jobs/:jobId", (req, res) => {
+  const job = startJobs.get(req.params.jobId);
+  if (!job) return res.status(404).json({ error: "Trabajo no encontrado o caducado" });
+  return res.json(job);
+});
+
+// Stream SSE: un evento "progress" por cada cambio y uno final "done" o "failed"
+app.get("/api/start-test/jobs/:jobId/events", (req, res) => {
+  const job = startJobs.get(req.params.jobId);
+  if (!job) return res.status(404).json({ error: "Trabajo no encontrado o caducado" });
+
+  res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  res.flushHeaders();
+  // Comentario periódico para que los proxies no corten la conexión
+  const ping = setInterval(() => res.write(": ping\n\n"), 15000);
+  let unsubscribe = () => {};
+  const close = () => {
+    clearInterval(ping);
+    unsubscribe();
+    res.end();
+  };
+  const send = (j) => {
+    const event = j.status === "running" ? "progress" : j.status;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(j)}\n\n`);
+    if (j.status !== "running") close();
+  };
+
+  req.on("close", close);
+  if (job.status !== "running") return send(job);
+  unsubscribe = startJobs.subscribe(job.id, send);
+  send(job);
 });
 
 // --- ANSWER ---
-app.post("/api/answer", (req, res) => {
+app.post("/api/answer", requireAttemptToken, async (req, res) => {
+  // Idioma del intento; antes de encontrarlo, el que indique la petición
+  let lang = resolveLanguage(req.body?.language) || "es";
   try {
-    const { attemptId, questionId, choice } = req.body || {};
-    const attempt = attempts.get(attemptId);
-    if (!attempt) return res.status(404).json({ error: "Intento no encontrado" });
+    const { attemptId, questionId } = req.body || {};
+    const attempt = await attempts.get(attemptId);
+    if (!attempt) return res.status(404).json({ error: t(lang, "attempt_not_found") });
+    lang = attempt.language || lang;
 
     const q = attempt.questions.find((x) => x.id === questionId);
-    if (!q) return res.status(400).json({ error: "Pregunta inválida" });
+    if (!q) return res.status(400).json({ error: t(lang, "invalid_question") });
 
-    const idx = letterToIndex(choice);
-    if (idx < 0) return res.status(400).json({ error: "Responde con A, B, C o D." });
+    if (attempt.finishedAt) return res.status(409).json({ error: t(lang, "already_finished") });
+    if (isPastDeadline(attempt)) {
+      return res.status(410).json({ error: t(lang, "time_over") });
+    }
+
+    // choice (A–D, verdadero/falso), choices (multirespuesta), order (ordenación) o value (numérica)
+    const parsed = parseAnswer(q, req.body);
+    if (parsed.error) return res.status(400).json({ error: t(lang, parsed.error) });
 
-    // Evitar duplicados
+    // En examen cuenta la primera respuesta: un cambio posterior no se registra, pero se avisa.
+    // En práctica se puede reintentar; la nueva respuesta sustituye a la anterior
+    const practice = isPractice(attempt);
     const already = attempt.answers.find((a) => a.questionId === questionId);
-    if (!already) {
-      attempt.answers.push({
-        questionId,
-        choiceIndex: idx,
-        choiceLetter: toLetter(idx),
+    // Adaptativo: la siguiente pregunta se elige con lo contestado hasta ahora (null = no quedan)
+    const adaptiveNext = () => {
+      if (!attempt.adaptive) return {};
+      const next = serveNext(attempt);
+      return { next: next ? renderQuestion(next) : null };
+    };
+    if (already && !practice) {
+      const extra = adaptiveNext();
+      if (attempt.adaptive) await attempts.save(attemptId, attempt);
+      return res.json({ ok: true, alreadyAnswered: true, remainingSec: remainingSec(attempt), ...extra });
+    }
+
+    const now = Date.now();
+    const { elapsedSec, late } = measureAnswer(attempt, now);
+    // Fuera de plazo: queda registrada como fallada y no se puede volver a contestar
+    const entry = {
+      questionId,
+      choiceIndex: late ? -1 : parsed.value.choiceIndex,
+      choiceLetter: late ? "" : parsed.value.display,
+      response: late ? null : parsed.value.response,
+      answeredAt: new Date(now).toISOString(),
+      elapsedSec,
+      late,
+    };
+    if (already) Object.assign(already, entry, { tries: (already.tries || 1) + 1 });
+    else attempt.answers.push(practice ? { ...entry, tries: 1 } : entry);
+    const extra = adaptiveNext();
+    await attempts.save(attemptId, attempt);
+    if (late) {
+      return res.status(409).json({ error: t(lang, "question_time_over"), elapsedSec, ...extra });
+    }
+
+    if (practice) {
+      // Corrección inmediata con la solución y su justificación en el manual
+      const credit = scoreAnswer(q, entry);
+      return res.json({
+        ok: true,
+        correct: credit === 1,
+        credit: Math.round(credit * 100) / 100,
+        correctAnswer: describeCorrect(q),
+        explanation: q.explanation ?? null,
+        quote: q.quote ?? null,
+        page: q.page ?? null,
+        tries: already?.tries ?? 1,
+        ...extra,
       });
     }
 
-    return res.json({ ok: true });
+    return res.json({ ok: true, remainingSec: remainingSec(attempt), ...extra });
   } catch (err) {
     console.error("[answer] ERROR:", err);
-    return res.status(500).json({ error: "Fallo al registrar la respuesta", detail: String(err?.message || err) });
+    return res.status(500).json({ error: t(lang, "answer_failed"), detail: String(err?.message || err) });
   }
 });
 
+// Lo que ve el candidato al terminar
+const studentResult = (result) => ({
+  score: `${result.score_numerico}/${result.total_preguntas}`,
+  percent: `${result.porcentaje}%`,
+});
+
 // --- FINISH ---
-app.post("/api/finish", async (req, res) => {
+// Finalizaciones en curso por intento: una llamada simultánea espera a la primera y
+// devuelve el resultado guardado (ni recalcula ni encola dos veces el webhook)
+const finishing = new Map(); // attemptId -> Promise
+
+app.post("/api/finish", requireAttemptToken, async (req, res) => {
+  const key = String(req.body?.attemptId ?? "");
+  while (finishing.has(key)) await finishing.get(key);
+  const run = finishAttempt(req, res).finally(() => finishing.delete(key));
+  finishing.set(key, run);
+  return run;
+});
+
+async function finishAttempt(req, res) {
+  let lang = resolveLanguage(req.body?.language) || "es";
   try {
     const { attemptId } = req.body || {};
-    const attempt = attempts.get(attemptId);
-    if (!attempt) return res.status(404).json({ error: "Intento no encontrado" });
+    const attempt = await attempts.get(attemptId);
+    if (!attempt) return res.status(404).json({ error: t(lang, "attempt_not_found") });
+    lang = attempt.language || lang;
+    // Repetir /api/finish devuelve el resultado guardado: ni se recalcula ni se reenvía
+    if (attempt.finishedAt && attempt.result) {
+      return res.json({
+        resultForStudent: studentResult(attempt.result),
+        finalJson: attempt.result,
+        webhook: { deliveryId: attempt.webhookDeliveryId ?? null, repeated: true },
+      });
+    }
 
-    if (attempt.answers.length !== attempt.questions.length) {
-      return res.status(400).json({ error: "Aún faltan preguntas por responder" });
+    // Si se acabó el tiempo se cierra igualmente: las no contestadas cuentan como falladas.
+    // La práctica se puede dejar a medias
+    const practice = isPractice(attempt);
+    const expired = isPastDeadline(attempt);
+    // En adaptativo cuentan también las que no se llegaron a servir
+    const total = attempt.adaptive ? attempt.numQuestions : attempt.questions.length;
+    if (!expired && !practice && attempt.answers.length !== total) {
+      return res.status(400).json({ error: t(lang, "missing_answers") });
     }
 
     let score = 0;
     const outQuestions = attempt.questions.map((q) => {
       const ans = attempt.answers.find((a) => a.questionId === q.id);
-      const selectedLetter = ans?.choiceLetter ?? "";
-      const correctLetter = toLetter(q.correctIndex);
-      const isCorrect = !!(ans && ans.choiceIndex === q.correctIndex);
-      if (isCorrect) score++;
+      // Crédito 0–1 según el tipo (multirespuesta y ordenación admiten parcial)
+      const credit = scoreAnswer(q, ans);
+      score += credit;
+      const selected = describeAnswer(q, ans);
+      const correct = describeCorrect(q);
 
       return {
         id: q.id,
         fuente: q.source,
+        puesto: q.role ?? null,
+        tipo: typeOf(q),
+        nivel: levelOf(q),
         enunciado: q.prompt,
-        opciones: q.options.map((opt, i) => `${toLetter(i)}) ${opt}`),
+        opciones: (q.options || []).map((opt, i) => `${toLetter(i)}) ${opt}`),
         // Mostrar solo el texto (sin duplicar letra)
-        respuestaSeleccionada: q.options[ans.choiceIndex],
-        respuestaCorrecta: q.options[q.correctIndex],
-        letraSeleccionada: selectedLetter,
-        letraCorrecta: correctLetter,
-        acierto: isCorrect,
+        respuestaSeleccionada: selected.text,
+        respuestaCorrecta: correct.text,
+        letraSeleccionada: selected.letters,
+        letraCorrecta: correct.letters,
+        acierto: credit === 1,
+        credito: Math.round(credit * 100) / 100,
+        seccion: q.section ?? null,
+        explicacion: q.explanation ?? null,
+        cita: q.quote ?? null,
+        pagina: q.page ?? null,
+        contestada: !!ans && !ans.late && ans.choiceIndex !== -1,
+        fuera_de_tiempo: !!ans?.late,
+        tiempo_seg: ans?.elapsedSec ?? null,
+        ...(practice ? { intentos: ans?.tries ?? 0 } : {}),
+        // Versión en español para RRHH cuando el test se hizo en otro idioma
+        version_es: q.promptEs
+          ? {
+              enunciado: q.promptEs,
+              opciones: (q.optionsEs || []).map((opt, i) => `${toLetter(i)}) ${opt}`),
+              respuestaCorrecta: q.optionsEs ? describeCorrect(q, q.optionsEs).text : null,
+            }
+          : null,
       };
     });
 
-    const total = attempt.questions.length;
+    score = Math.round(score * 100) / 100;
     const percent = Math.round((score / total) * 100);
-
-    const resultForStudent = {
-      score: `${score}/${total}`,
-      percent: `${percent}%`,
-    };
+    // Veredicto solo si el intento se creó con plantilla (tiene nota de corte)
+    const passed = attempt.passPercent == null ? null : percent >= attempt.passPercent;
 
     const finishedAt = new Date().toISOString();
+    attempt.finishedAt = finishedAt;
+    attempt.closedByTimeout = expired;
+    delete attempt.reserve; // las candidatas no servidas ya no hacen falta
+    // Tiempo total: hasta la última respuesta (o hasta el límite si se cerró por tiempo)
+    const endMs = expired
+      ? Date.parse(attempt.deadlineAt)
+      : Math.max(Date.parse(attempt.startedAt), ...attempt.answers.map((a) => Date.parse(a.answeredAt || 0)));
+    const totalSec = Math.round((endMs - Date.parse(attempt.startedAt)) / 1000);
+
     const finalJson = {
       accion: "final",
       nombre: attempt.candidateName,
       dni: attempt.dni,
+      tipo_documento: attempt.documentType ?? null,
+      puesto: attempt.role?.label ?? null,
+      idioma: attempt.language || "es",
+      modo: practice ? "practica" : "examen",
+      adaptativo: !!attempt.adaptive,
+      // Nivel al que habría ido la siguiente pregunta: estimación del nivel del candidato
+      nivel_estimado: attempt.adaptive ? targetLevel(attempt) : null,
       puntuacion: `${score}/${total} (${percent}%)`,
       score_numerico: score,
       total_preguntas: total,
       porcentaje: percent,
+      plantilla: attempt.templateId ?? null,
+      invitacionId: attempt.invitationId ?? null,
+      nota_corte: attempt.passPercent ?? null,
+      aprobado: passed,
       intentoId: attemptId,
       fuente_titulo: attempt.title || "",
       fuentes: attempt.urls || [],
       startedAt: attempt.startedAt,
       finishedAt,
+      tiempo_limite_min: attempt.timeLimitMin ?? null,
+      tiempo_limite_pregunta_seg: attempt.questionTimeLimitSec ?? null,
+      tiempo_total_seg: totalSec,
+      cerrado_por_tiempo: expired,
       preguntas: outQuestions,
     };
 
-    // Enviar a webhook de Make y esperar la respuesta para diagnosticar
-    let webhookResult = { ok: false, status: 0, text: "disabled" };
-    if (WEBHOOK_URL) {
-      webhookResult = await postJSON(WEBHOOK_URL, finalJson).catch((e) => {
+    // Se guarda con el intento: el resultado no depende de que el webhook llegue
+    attempt.result = finalJson;
+    await attempts.save(attemptId, attempt);
+    await history.update(attempt.dni, attemptId, { finishedAt });
+    if (attempt.invitationId) await invitations.markCompleted(attempt.invitationId);
+    const resultForStudent = studentResult(finalJson);
+
+    // Encolar para Make y hacer el primer intento ya, para devolver diagnóstico;
+    // si falla, la cola reintenta con backoff y acaba en dead-letter
+    // Las prácticas no se envían: no son resultados oficiales
+    let webhookResult = { ok: false, status: 0, text: practice ? "practice" : "disabled" };
+    if (WEBHOOK_URL && !practice) {
+      // PII_OUTBOUND decide si el nombre y el DNI salen en claro, enmascarados o seudonimizados
+      const deliveryId = await webhookQueue.enqueue(WEBHOOK_URL, protectRecord(finalJson, "outbound"), {
+        event: "test.finished",
+      });
+      attempt.webhookDeliveryId = deliveryId;
+      await attempts.save(attemptId, attempt);
+      const first = await webhookQueue.deliverNow(deliveryId).catch((e) => {
         console.error("[webhook] error:", e);
         return { ok: false, status: 0, text: String(e?.message || e) };
       });
-
-      if (!webhookResult.ok) {
-        console.error("[webhook] FAIL", webhookResult.status, webhookResult.text?.slice(0, 500));
-      } else {
-        console.log("[webhook] OK", webhookResult.status);
-      }
-    } else {
+      webhookResult = { ...(first || { ok: false, status: 0, text: "en cola" }), deliveryId, queued: !first?.ok };
+    } else if (!practice) {
       console.warn("[webhook] WEBHOOK_URL no definido; no se envía a Make.");
     }
 
+    // Resto de canales (no bloquea la respuesta; emit nunca lanza)
+    if (!practice) {
+      const vars = { ...finalJson, email: attempt.email, resultForStudent };
+      // Con veredicto, cada canal recibe el aviso de aprobado/suspenso o, si no lo pide, el final
+      notifier.emit(passed === null ? "test.finished" : [passed ? "test.passed" : "test.failed", "test.finished"], vars);
+    }
+
     return res.json({ resultForStudent, finalJson, webhook: webhookResult });
   } catch (err) {
     console.error("[finish] ERROR:", err);
-    return res.status(500).json({ error: "Fallo al finalizar", detail: String(err?.message || err) });
+    return res.status(500).json({ error: t(lang, "finish_failed"), detail: String(err?.message || err) });
   }
-});
+}
 
-// --- Endpoint de prueba de webhook ---
-app.post("/api/test-webhook", async (req, res) => {
+// --- Endpoint de prueba de webhook (envío directo firmado + estado de la cola) ---
+app.post("/api/test-webhook", requireAdmin, async (req, res) => {
   try {
-    if (!WEBHOOK_URL) return res.status(400).json({ error: "WEBHOOK_URL no definido" });
+    const queue = await webhookQueue.status();
+    if (!WEBHOOK_URL) return res.status(400).json({ error: "WEBHOOK_URL no definido", queue });
     const payload = {
       accion: "prueba",
       now: new Date().toISOString(),
       echo: req.body || {},
     };
-    const r = await postJSON(WEBHOOK_URL, payload);
-    return res.json({ sentTo: WEBHOOK_URL, result: r, payload });
+    const r = await postJSON(WEBHOOK_URL, payload, { secret: WEBHOOK_SECRET });
+    return res.json({ sentTo: WEBHOOK_URL, result: r, payload, queue });
   } catch (e) {
     console.error("[/api/test-webhook] error:", e);
     return res.status(500).json({ error: String(e?.message || e) });
   }
 });
 
+// --- ADMIN: cola de webhooks y dead-letter ---
+app.get("/api/admin/webhooks", requireAdmin, async (req, res) => {
+  return res.json({ status: await webhookQueue.status(), pending: await webhookQueue.listPending() });
+});
+
+app.get("/api/admin/webhooks/dead", requireAdmin, async (req, res) => {
+  return res.json({ dead: await webhookQueue.listDead() });
+});
+
+app.post("/api/admin/webhooks/dead/:id/replay", requireAdmin, async (req, res) => {
+  try {
+    const result = await webhookQueue.replay(req.params.id);
+    if (!result) return res.status(404).json({ error: "Entrega no encontrada en dead-letter" });
+    return res.json({ ok: result.ok, result });
+  } catch (e) {
+    console.error("[admin/webhooks] ERROR replay:", e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// --- Plantillas disponibles (para que el frontend ofrezca el selector) ---
+app.get("/api/templates", async (req, res) => {
+  const list = await templates.list();
+  return res.json({
+    templates: list.map((t) => ({ id: t.id, name: t.name, numQuestions: t.numQuestions, timeLimitMin: t.timeLimitMin })),
+  });
+});
+
+// --- ADMIN: pools de preguntas ---
+app.get("/api/admin/pools", requireHr, async (req, res) => {
+  try {
+    return res.json({ pools: await pools.status() });
+  } catch (e) {
+    console.error("[admin/pools] ERROR:", e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// --- ADMIN: revisión de preguntas generadas (draft → approved | rejected) ---
+app.get("/api/admin/questions", requireHr, async (req, res) => {
+  const { status, restaurantId, source } = req.query;
+  if (status && !QUESTION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status debe ser uno de: ${QUESTION_STATUSES.join(", ")}` });
+  }
+  const prefix = restaurantId ? `${restaurantId}:${source ? `${source}:` : ""}` : undefined;
+  const questions = await pools.listQuestions({ status, prefix });
+  return res.json({ total: questions.length, questions });
+});
+
+app.get("/api/admin/questions/:id", requireHr, async (req, res) => {
+  const q = await pools.getQuestion(req.params.id);
+  if (!q) return res.status(404).json({ error: "Pregunta no encontrada" });
+  return res.json(q);
+});
+
+// Corrige enunciado, opciones o respuesta correcta (no cambia el estado)
+app.put("/api/admin/questions/:id", requireHr, async (req, res) => {
+  const { value, error } = validateQuestionEdit(req.body || {});
+  if (error) return res.status(400).json({ error });
+  const current = await pools.getQuestion(req.params.id);
+  if (!current) return res.status(404).json({ error: "Pregunta no encontrada" });
+  // La pregunta editada tiene que seguir siendo válida para su tipo
+  const invalid = structuralError({ ...current, ...value });
+  if (invalid) return res.status(400).json({ error: `Pregunta inválida: ${invalid}` });
+  const q = await pools.updateQuestion(req.params.id, value);
+  if (!q) return res.status(404).json({ error: "Pregunta no encontrada" });
+  await logAudit("question_edited", { questionId: q.id, fields: Object.keys(value) });
+  return res.json(q);
+});
+
+app.post("/api/admin/questions/:id/approve", requireHr, async (req, res) => {
+  const q = await pools.updateQuestion(req.params.id, { status: "approved", rejectReason: null });
+  if (!q) return res.status(404).json({ error: "Pregunta no encontrada" });
+  await logAudit("question_approved", { questionId: q.id });
+  return res.json(q);
+});
+
+app.post("/api/admin/questions/:id/reject", requireHr, async (req, res) => {
+  const reason = String(req.body?.reason || "").trim();
+  const q = await pools.updateQuestion(req.params.id, { status: "rejected", rejectReason: reason || null });
+  if (!q) return res.status(404).json({ error: "Pregunta no encontrada" });
+  await logAudit("question_rejected", { questionId: q.id, reason });
+  return res.json(q);
+});
+
+// --- ADMIN: catálogo de fuentes por restaurante ---
+app.get("/api/admin/restaurants", requireAdmin, async (req, res) => {
+  return res.json({ restaurants: await catalog.listRestaurants() });
+});
+
+app.put("/api/admin/restaurants/:restaurantId", requireAdmin, async (req, res) => {
+  const name = String(req.body?.name || "").trim();
+  if (!name) return res.status(400).json({ error: "Nombre de restaurante inválido" });
+  const r = await catalog.setRestaurantName(req.params.restaurantId, name);
+  return res.json({ id: req.params.restaurantId, name: r.name });
+});
+
+app.get("/api/admin/restaurants/:restaurantId/sources", requireAdmin, async (req, res) => {
+  const r = await catalog.getRestaurant(req.params.restaurantId);
+  if (!r) return res.status(404).json({ error: "Restaurante no encontrado" });
+  return res.json({ restaurantId: req.params.restaurantId, sources: r.sources });
+});
+
+// Las fuentes upload:// tienen que apuntar a un documento subido que exista
+async function missingUpload(url) {
+  return isUploadUrl(url) && !(await uploads.get(url.slice(UPLOAD_SCHEME.length)));
+}
+
+app.post("/api/admin/restaurants/:restaurantId/sources", requireAdmin, async (req, res) => {
+  const { value, error } = validateSource(req.body || {});
+  if (error) return res.status(400).json({ error });
+  if (await missingUpload(value.url)) return res.status(400).json({ error: "Documento subido no encontrado" });
+  const created = await catalog.add(req.params.restaurantId, value);
+  if (!created) return res.status(409).json({ error: "Ya existe una fuente con esa clave" });
+  return res.status(201).json(created);
+});
+
+app.put("/api/admin/restaurants/:restaurantId/sources/:key", requireAdmin, async (req, res) => {
+  const { value, error } = validateSource(req.body || {}, { partial: true });
+  if (error) return res.status(400).json({ error });
+  if (value.url && (await missingUpload(value.url))) {
+    return res.status(400).json({ error: "Documento subido no encontrado" });
+  }
+  const updated = await catalog.update(req.params.restaurantId, req.params.key, value);
+  if (!updated) return res.status(404).json({ error: "Fuente no encontrada" });
+  return res.json(updated);
+});
+
+app.delete("/api/admin/restaurants/:restaurantId/sources/:key", requireAdmin, async (req, res) => {
+  const removed = await catalog.remove(req.params.restaurantId, req.params.key);
+  if (!removed) return res.status(404).json({ error: "Fuente no encontrada" });
+  return res.json({ ok: true });
+});
+
+// --- ADMIN: documentos subidos (se registran como fuente con su url upload://<id>) ---
+// Cuerpo = el fichero tal cual; nombre en ?filename= o cabecera x-filename
+app.post(
+  "/api/admin/uploads",
+  requireAdmin,
+  express.raw({ type: () => true, limit: `${MAX_UPLOAD_MB}mb` }),
+  async (req, res) => {
+    const buffer = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const filename = String(req.query.filename || req.get("x-filename") || "").trim();
+    const { value, error } = await uploads.save(buffer, { filename, contentType: req.get("content-type") || "" });
+    if (error) return res.status(400).json({ error });
+    console.log(`[uploads] ${value.id} · ${value.filename} (${value.type}, ${value.size} bytes)`);
+    return res.status(201).json(value);
+  }
+);
+
+app.get("/api/admin/uploads", requireAdmin, async (req, res) => {
+  return res.json({ uploads: await uploads.list() });
+});
+
+app.delete("/api/admin/uploads/:id", requireAdmin, async (req, res) => {
+  const upload = await uploads.get(req.params.id);
+  if (!upload) return res.status(404).json({ error: "Documento no encontrado" });
+  // No se borra un documento que sigue siendo fuente de algún restaurante
+  const usedBy = [];
+  for (const r of await catalog.listRestaurants()) {
+    for (const src of await catalog.list(r.id)) {
+      if (src.url === upload.url) usedBy.push(`${r.id}:${src.key}`);
+    }
+  }
+  if (usedBy.length) return res.status(409).json({ error: "El documento está en uso como fuente", usedBy });
+  await uploads.remove(upload.id);
+  await contentCache.delete(upload.url);
+  return res.json({ ok: true });
+});
+
+// --- ADMIN: plantillas de test ---
+app.get("/api/admin/templates", requireAdmin, async (req, res) => {
+  return res.json({ templates: await templates.list() });
+});
+
+app.post("/api/admin/templates", requireAdmin, async (req, res) => {
+  const { value, error } = validateTemplate(req.body || {});
+  if (error) return res.status(400).json({ error });
+  const created = await templates.add(req.body?.id, value);
+  if (!created) return res.status(409).json({ error: "Id de plantilla inválido o ya existente" });
+  return res.status(201).json(created);
+});
+
+app.put("/api/admin/templates/:id", requireAdmin, async (req, res) => {
+  const { value, error } = validateTemplate(req.body || {}, { partial: true });
+  if (error) return res.status(400).json({ error });
+  const updated = await templates.update(req.params.id, value);
+  if (!updated) return res.status(404).json({ error: "Plantilla no encontrada" });
+  return res.json(updated);
+});
+
+app.delete("/api/admin/templates/:id", requireAdmin, async (req, res) => {
+  const removed = await templates.remove(req.params.id);
+  if (!removed) return res.status(404).json({ error: "Plantilla no encontrada" });
+  return res.json({ ok: true });
+});
+
+// --- ADMIN: canales de notificación ---
+app.get("/api/admin/notifications/channels", requireAdmin, async (req, res) => {
+  return res.json({ events: EVENTS, channels: await notifier.list() });
+});
+
+app.put("/api/admin/notifications/channels", requireAdmin, async (req, res) => {
+  const { value, error } = validateChannels(req.body?.channels);
+  if (error) return res.status(400).json({ error });
+  return res.json({ channels: await notifier.replace(value) });
+});
+
+// Envía un evento de ejemplo (opcionalmente solo a un canal) para probar plantillas y SMTP
+app.post("/api/admin/notifications/test", requireAdmin, async (req, res) => {
+  const { event = "test.finished", channel, vars = {} } = req.body || {};
+  if (!EVENTS.includes(event)) return res.status(400).json({ error: `event debe ser uno de: ${EVENTS.join(", ")}` });
+  const sample = {
+    accion: "prueba",
+    nombre: "Candidato de prueba",
+    dni: "00000000T",
+    email: vars.email || null,
+    puesto: "Camarero/a de sala",
+    plantilla: "camarero",
+    puntuacion: "8/10 (80%)",
+    porcentaje: 80,
+    aprobado: true,
+    intentoId: "prueba",
+    startedAt: new Date().toISOString(),
+    finishedAt: new Date().toISOString(),
+    resultForStudent: { score: "8/10", percent: "80%" },
+    ...vars,
+  };
+  return res.json({ results: await notifier.emit(event, sample, { only: channel }) });
+});
+
+// --- Invitaciones: RRHH las crea y el candidato empieza con el token ---
+app.post("/api/admin/invitations", requireHr, async (req, res) => {
+  const { value, error } = validateInvitation(req.body || {});
+  if (error) return res.status(400).json({ error });
+  if (value.templateId && !(await templates.get(value.templateId))) {
+    return res.status(400).json({ error: "Plantilla no encontrada" });
+  }
+  if (value.restaurantId && !(await catalog.getRestaurant(value.restaurantId))) {
+    return res.status(400).json({ error: "Restaurante no encontrado" });
+  }
+  const { invitation, token } = await invitations.create(value, { createdBy: req.auth?.sub ?? null });
+  await logAudit("invitation_created", { invitationId: invitation.id, dni: invitation.dni, by: req.auth?.sub ?? null });
+  const link = INVITATION_LINK_BASE
+    ? `${INVITATION_LINK_BASE}${INVITATION_LINK_BASE.includes("?") ? "&" : "?"}token=${encodeURIComponent(token)}`
+    : null;
+  // El token solo se devuelve aquí: se guarda su hash
+  return res.status(201).json({ invitation, token, link });
+});
+
+app.get("/api/admin/invitations", requireHr, async (req, res) => {
+  const { status, dni } = req.query;
+  if (status && !INVITATION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status debe ser uno de: ${INVITATION_STATUSES.join(", ")}` });
+  }
+  return res.json({ invitations: await invitations.list({ status, dni }) });
+});
+
+app.get("/api/admin/invitations/:id", requireHr, async (req, res) => {
+  const invitation = await invitations.get(req.params.id);
+  if (!invitation) return res.status(404).json({ error: "Invitación no encontrada" });
+  return res.json(invitation);
+});
+
+// Revocar (solo si aún no se ha usado)
+app.delete("/api/admin/invitations/:id", requireHr, async (req, res) => {
+  const out = await invitations.revoke(req.params.id);
+  if (!out) return res.status(404).json({ error: "Invitación no encontrada" });
+  if (out.error) return res.status(409).json({ error: out.error });
+  await logAudit("invitation_revoked", { invitationId: req.params.id, by: req.auth?.sub ?? null });
+  return res.json({ ok: true, invitation: out.value });
+});
+
+// Para el frontend del candidato: si el enlace sigue valiendo (sin datos personales de más)
+app.get("/api/invitations/:token", async (req, res) => {
+  const invitation = await invitations.findByToken(req.params.token);
+  if (!invitation || invitation.status === "revoked") {
+    return res.status(404).json({ error: "Invitación no válida" });
+  }
+  return res.json({
+    status: invitation.status,
+    candidateName: invitation.candidateName,
+    language: invitation.language,
+    expiresAt: invitation.expiresAt,
+  });
+});
+
+// --- ADMIN: resultados (búsqueda, detalle y exportación) ---
+async function finishedResults(query) {
+  const finished = (await attempts.list()).filter((a) => a.finishedAt && a.result);
+  const rows = filterResults(finished.map(summarizeResult), query);
+  return { rows, byId: new Map(finished.map((a) => [a.id, a])) };
+}
+
+app.get("/api/admin/results", requireHr, async (req, res) => {
+  const { error } = validateResultsQuery(req.query);
+  if (error) return res.status(400).json({ error });
+  try {
+    const { rows } = await finishedResults(req.query);
+    const limit = Math.min(Number(req.query.limit) || 100, 1000);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    return res.json({ total: rows.length, limit, offset, results: rows.slice(offset, offset + limit) });
+  } catch (e) {
+    console.error("[admin/results] ERROR:", e);
+    return res.status(500).json({ error: "Fallo al listar resultados", detail: String(e?.message || e) });
+  }
+});
+
+// Exportación con los mismos filtros que el listado: ?format=csv|xlsx
+app.get("/api/admin/results/export", requireHr, async (req, res) => {
+  const { error } = validateResultsQuery(req.query);
+  if (error) return res.status(400).json({ error });
+  try {
+    const format = String(req.query.format || "csv").toLowerCase();
+    const { rows, byId } = await finishedResults(req.query);
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === "xlsx") {
+      const buf = await resultsToXlsx(rows, byId);
+      res.set("Content-Disposition", `attachment; filename="resultados-${stamp}.xlsx"`);
+      return res.type("application/vnd.openxmlformats-officedocument.spreadsheetml.sheet").send(buf);
+    }
+    if (format !== "csv") return res.status(400).json({ error: "Formato no soportado (csv o xlsx)" });
+    res.set("Content-Disposition", `attachment; filename="resultados-${stamp}.csv"`);
+    return res.type("text/csv; charset=utf-8").send(resultsToCsv(rows));
+  } catch (e) {
+    console.error("[admin/results] ERROR exportando:", e);
+    return res.status(500).json({ error: "Fallo al exportar resultados", detail: String(e?.message || e) });
+  }
+});
+
+app.get("/api/admin/results/:attemptId", requireHr, async (req, res) => {
+  const attempt = await attempts.get(req.params.attemptId);
+  if (!attempt || !attempt.result) return res.status(404).json({ error: "Resultado no encontrado" });
+  return res.json({
+    summary: summarizeResult({ id: req.params.attemptId, ...attempt }),
+    result: attempt.result,
+  });
+});
+
+// --- ADMIN: estadísticas por pregunta (acierto, distractores, discriminación) ---
+// Filtros: restaurantId, source, since, minN; flagged=1 solo las marcadas
+app.get("/api/admin/item-stats", requireHr, async (req, res) => {
+  const { restaurantId, source, since, flagged } = req.query;
+  if (since !== undefined && !Number.isFinite(Date.parse(since))) {
+    return res.status(400).json({ error: "since no es una fecha válida" });
+  }
+  try {
+    const minN = req.query.minN !== undefined ? Math.max(1, Number(req.query.minN) || 1) : undefined;
+    const stats = computeItemStats(await attempts.list(), { restaurantId, source, since, minN });
+    if (flagged === "1") stats.items = stats.items.filter((it) => it.flags.length);
+    return res.json(stats);
+  } catch (e) {
+    console.error("[admin/item-stats] ERROR:", e);
+    return res.status(500).json({ error: "Fallo al calcular estadísticas", detail: String(e?.message || e) });
+  }
+});
+
+// Pasa a las preguntas del pool el nivel que sugieren sus estadísticas (con datos suficientes)
+app.post("/api/admin/item-stats/calibrate", requireAdmin, async (req, res) => {
+  const { restaurantId, source, since, minN } = req.body || {};
+  if (since !== undefined && !Number.isFinite(Date.parse(since))) {
+    return res.status(400).json({ error: "since no es una fecha válida" });
+  }
+  try {
+    const { items } = computeItemStats(await attempts.list(), {
+      restaurantId,
+      source,
+      since,
+      minN: minN !== undefined ? Math.max(1, Number(minN) || 1) : undefined,
+    });
+    const levels = Object.fromEntries(items.filter((it) => it.suggestedLevel).map((it) => [it.questionId, it.suggestedLevel]));
+    const changed = await pools.calibrateLevels(levels);
+    console.log(`[admin/item-stats] niveles recalibrados: ${changed.length}`);
+    await logAudit("levels_calibrated", { changed: changed.length });
+    return res.json({ ok: true, evaluated: Object.keys(levels).length, changed });
+  } catch (e) {
+    console.error("[admin/item-stats] ERROR calibrando:", e);
+    return res.status(500).json({ error: "Fallo al recalibrar niveles", detail: String(e?.message || e) });
+  }
+});
+
+// --- ADMIN: consumo del LLM y presupuesto ---
+app.get("/api/admin/usage", requireAdmin, async (req, res) => {
+  const days = Math.min(Math.max(Number(req.query.days) || 30, 1), 90);
+  return res.json({ llm: providerInfo(), ...(await llmUsage.status({ days })) });
+});
+
+// --- ADMIN: historial de candidatos y auditoría ---
+app.get("/api/admin/candidates/:dni", requireHr, async (req, res) => {
+  const entries = await dniHistory(req.params.dni);
+  return res.json({
+    dni: req.params.dni,
+    policy: POLICY,
+    canStart: !checkStartPolicy(entries),
+    attempts: entries.map((e) => ({
+      attemptId: e.attemptId,
+      startedAt: e.startedAt,
+      finishedAt: e.finishedAt ?? null,
+      abandonedAt: e.abandonedAt ?? null,
+      open: isOpen(e),
+      mode: e.mode || "exam",
+      countsForPolicy: !e.policyResetAt && !isPractice(e),
+    })),
+  });
+});
+
+// Resetea el historial: los intentos previos dejan de contar para la política
+app.post("/api/admin/candidates/:dni/reset", requireAdmin, async (req, res) => {
+  const counted = candidateHistory(await dniHistory(req.params.dni));
+  await history.reset(req.params.dni, counted.map((e) => e.attemptId));
+  await logAudit("history_reset", { dni: req.params.dni, attempts: counted.length, reason: req.body?.reason || "" });
+  return res.json({ ok: true, dni: req.params.dni, reset: counted.length });
+});
+
+// La auditoría se busca por un seudónimo del DNI: con un secreto que cambia en cada
+// arranque, exportar o borrar dejaría fuera los eventos anteriores sin avisar
+const PII_SECRET_MISSING = {
+  error: "Configura PII_SECRET (o JWT_SECRET/ADMIN_TOKEN): sin un secreto estable no se localizan los eventos de auditoría de arranques anteriores",
+  reason: "pii_secret_missing",
+};
+
+app.get("/api/admin/audit", requireHr, async (req, res) => {
+  const { type, dni, since, limit } = req.query;
+  if (dni && !PII_SECRET_STABLE) return res.status(503).json(PII_SECRET_MISSING);
+  const events = await readAudit({ type, dni, since, limit: Math.min(Number(limit) || 200, 1000) });
+  return res.json({ events });
+});
+
+// --- ADMIN: RGPD (acceso y supresión de los datos de un candidato) ---
+// Todo lo que se guarda de un DNI: intentos (con respuestas y resultado), historial,
+// invitaciones y auditoría
+app.get("/api/admin/gdpr/:dni", requireAdmin, async (req, res) => {
+  const dni = normalizeDni(req.params.dni);
+  if (!dni) return res.status(400).json({ error: "DNI inválido" });
+  if (!PII_SECRET_STABLE) return res.status(503).json(PII_SECRET_MISSING);
+  const data = {
+    dni,
+    exportedAt: new Date().toISOString(),
+    attempts: (await attempts.list()).filter((a) => normalizeDni(a.dni) === dni),
+    history: await history.list(dni),
+    invitations: await invitations.list({ dni }),
+    audit: await readAudit({ dni, limit: Infinity }),
+  };
+  await logAudit("gdpr_exported", { subject: protectDni(dni), by: req.auth?.sub ?? null });
+  return res.set("Content-Disposition", `attachment; filename="rgpd-${dni}.json"`).json(data);
+});
+
+// Borra intentos, historial, invitaciones, eventos de auditoría y entregas pendientes o muertas del
+// webhook; queda un evento "gdpr_erased" sin el DNI en claro
+app.delete("/api/admin/gdpr/:dni", requireAdmin, async (req, res) => {
+  const dni = normalizeDni(req.params.dni);
+  if (!dni) return res.status(400).json({ error: "DNI inválido" });
+  if (!PII_SECRET_STABLE) return res.status(503).json(PII_SECRET_MISSING);
+  try {
+    const ids = (await attempts.list()).filter((a) => normalizeDni(a.dni) === dni).map((a) => a.id);
+    for (const id of ids) await attempts.delete(id);
+    // En el webhook el DNI puede ir en claro o seudonimizado (enmascarado ya no identifica)
+    const sentAs = piiModes().outbound === "hash" ? protectDni(dni, "outbound") : dni;
+    const erased = {
+      attempts: ids.length,
+      history: await history.remove(dni),
+      invitations: await invitations.removeByDni(dni),
+      auditEvents: await eraseAudit(dni),
+      webhookDeliveries: await webhookQueue.forget((p) => p?.dni === sentAs || normalizeDni(p?.dni) === dni),
+    };
+    console.log(`[gdpr] datos de ${protectDni(dni)} eliminados:`, erased);
+    await logAudit("gdpr_erased", { subject: protectDni(dni), by: req.auth?.sub ?? null, ...erased });
+    return res.json({ ok: true, erased });
+  } catch (e) {
+    console.error("[gdpr] ERROR borrando:", e);
+    return res.status(500).json({ error: "Fallo al borrar los datos", detail: String(e?.message || e) });
+  }
+});
+
+// Regenera el pool de una fuente (p. ej. tras actualizar el manual)
+app.post("/api/admin/restaurants/:restaurantId/sources/:key/refresh-pool", requireAdmin, async (req, res) => {
+  const { restaurantId, key } = req.params;
+  const src = await catalog.get(restaurantId, key);
+  if (!src) return res.status(404).json({ error: "Fuente no encontrada" });
+  if (req.body?.difficulty && !DIFFICULTIES.includes(req.body.difficulty)) {
+    return res.status(400).json({ error: `difficulty debe ser una de: ${DIFFICULTIES.join(", ")}` });
+  }
+  const language = resolveLanguage(req.body?.language);
+  if (!language) {
+    return res.status(400).json({ error: `language debe ser uno de: ${Object.keys(LANGUAGES).join(", ")}` });
+  }
+  try {
+    // Invalida la caché para forzar descarga y parseo del manual nuevo
+    await contentCache.delete(src.url);
+    const text = await loadSourceText(key, src.url);
+    // Regenera cada pool existente de la fuente (dificultad + puesto + idioma), o el pedido en el body
+    const prefix = `${restaurantId}:${key}:`;
+    const existing = (await pools.status()).filter((p) => p.key.startsWith(prefix));
+    const wanted = req.body?.difficulty || req.body?.role || req.body?.language
+      ? [{ difficulty: req.body.difficulty || "dificil", role: resolveRole(req.body.role), language }]
+      : existing.length
+        ? existing.map((p) => ({ difficulty: p.difficulty, role: p.role, language: p.language, types: p.types, mode: p.mode }))
+        : [{ difficulty: "dificil", role: null, language }];
+    const refreshed = [];
+    for (const gen of wanted) {
+      const pool = await pools.refresh(poolKey(restaurantId, key, gen), text, gen);
+      refreshed.push({
+        difficulty: gen.difficulty,
+        role: gen.role?.label ?? null,
+        language: gen.language,
+        mode: gen.mode ?? "exam",
+        size: pool.questions.length,
+        generatedAt: pool.generatedAt,
+      });
+    }
+    return res.json({ ok: true, restaurantId, source: key, pools: refreshed });
+  } catch (e) {
+    console.error("[admin/pools] ERROR regenerando", restaurantId, key, e);
+    return res.status(500).json({ error: "No se pudo regenerar el pool", detail: String(e?.message || e) });
+  }
+});
+
 // Ruta raíz - opcional
 app.get("/", (req, res) => {
   res.type("text/html").send(`
@@ -443,10 +1568,37 @@ app.get("/", (req, res) => {
     <p><strong>NUM_QUESTIONS:</strong> ${NUM_QUESTIONS}</p>
     <ul>
       <li><a href="/health">/health</a> - Verificar estado</li>
-      <li>POST <code>/api/start-test</code> - Iniciar test</li>
-      <li>POST <code>/api/answer</code> - Enviar respuestas</li>
-      <li>POST <code>/api/finish</code> - Finalizar test</li>
-      <li>POST <code>/api/test-webhook</code> - Probar webhook</li>
+      <li>POST <code>/api/start-test</code> - Iniciar test (<code>?async=1</code> → 202 con jobId; <code>mode: "practice"</code> → práctica con corrección inmediata, solo personal (credencial de RRHH o admin); <code>adaptive: true</code> → una pregunta cada vez según el nivel (plantilla, o credencial de RRHH o admin); <code>invitationToken</code> en lugar de DNI y nombre)</li>
+      <li>GET <code>/api/start-test/jobs/:jobId</code> - Estado del arranque asíncrono (<code>/events</code> para SSE)</li>
+      <li>POST <code>/api/answer</code> - Enviar respuesta (con <code>x-attempt-token</code>; <code>choice</code>, <code>choices</code>, <code>order</code> o <code>value</code> según el tipo; en adaptativo trae la siguiente en <code>next</code>)</li>
+      <li>POST <code>/api/finish</code> - Finalizar test (con <code>x-attempt-token</code>)</li>
+      <li>POST <code>/api/test-webhook</code> - Probar webhook (admin)</li>
+      <li>GET <code>/api/invitations/:token</code> - Estado de una invitación (pending, started, completed, expired)</li>
+      <li>GET <code>/api/templates</code> - Plantillas de test disponibles</li>
+      <li>GET/POST/DELETE <code>/api/admin/invitations</code> - Invitaciones con token de un solo uso (admin o RRHH; <code>mode: "practice"</code> para que el personal practique)</li>
+      <li>GET/POST/PUT/DELETE <code>/api/admin/templates</code> - Plantillas de test (admin)</li>
+      <li>GET/POST/DELETE <code>/api/admin/uploads</code> - Documentos subidos: PDF, DOCX, Markdown, texto (admin)</li>
+      <li>GET/PUT <code>/api/admin/notifications/channels</code> - Canales de notificación (admin)</li>
+      <li>POST <code>/api/admin/notifications/test</code> - Probar notificaciones (admin)</li>
+      <li>GET <code>/api/admin/webhooks</code> - Cola de entregas al webhook (admin)</li>
+      <li>GET <code>/api/admin/webhooks/dead</code> - Entregas fallidas (admin)</li>
+      <li>POST <code>/api/admin/webhooks/dead/:id/replay</code> - Reintentar entrega (admin)</li>
+      <li>GET <code>/api/admin/results</code> - Resultados con filtros (admin o RRHH; <code>?mode=practice|all</code> para ver prácticas)</li>
+      <li>GET <code>/api/admin/results/export?format=csv|xlsx</code> - Exportar resultados (admin o RRHH)</li>
+      <li>GET <code>/api/admin/results/:attemptId</code> - Detalle de un resultado (admin o RRHH)</li>
+      <li>GET <code>/api/admin/item-stats</code> - Estadísticas por pregunta: acierto, distractores y discriminación (admin o RRHH)</li>
+      <li>POST <code>/api/admin/item-stats/calibrate</code> - Ajustar el nivel de las preguntas según sus estadísticas (admin)</li>
+      <li>GET <code>/api/admin/candidates/:dni</code> - Historial de un candidato (admin o RRHH)</li>
+      <li>POST <code>/api/admin/candidates/:dni/reset</code> - Resetear historial (admin)</li>
+      <li>GET <code>/api/admin/usage</code> - Consumo de tokens y llamadas al LLM y presupuesto (admin)</li>
+      <li>GET <code>/api/admin/audit</code> - Registro de auditoría (admin o RRHH)</li>
+      <li>GET/DELETE <code>/api/admin/gdpr/:dni</code> - RGPD: exportar o borrar los datos de un candidato (admin; necesita <code>PII_SECRET</code>, <code>JWT_SECRET</code> o <code>ADMIN_TOKEN</code>)</li>
+      <li>GET <code>/api/admin/questions?status=draft</code> - Preguntas para revisar (admin o RRHH)</li>
+      <li>PUT <code>/api/admin/questions/:id</code> - Corregir pregunta (admin o RRHH)</li>
+      <li>POST <code>/api/admin/questions/:id/approve|reject</code> - Aprobar / rechazar (admin o RRHH)</li>
+      <li>GET <code>/api/admin/pools</code> - Estado de los pools (admin o RRHH)</li>
+      <li>GET/POST/PUT/DELETE <code>/api/admin/restaurants/:id/sources</code> - Catálogo de fuentes (admin)</li>
+      <li>POST <code>/api/admin/restaurants/:id/sources/:key/refresh-pool</code> - Regenerar pool (admin)</li>
     </ul>
   `);
 });
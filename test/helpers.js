@@ -0,0 +1,136 @@
+// test/helpers.js
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+export const ADMIN_TOKEN = "test-admin";
+
+// Manual de ejemplo: frases con cifras y vocabulario suficiente para el generador offline
+export const MANUAL = [
+  "El vino tinto de la casa se sirve siempre a 16 °C en copa grande para que respire.",
+  "La carne picada se cocina hasta alcanzar 75 °C en el centro antes de emplatarla.",
+  "Cada mesa se repasa con un paño limpio y desinfectante cuando se levantan los clientes.",
+  "El camarero saluda a los comensales con una sonrisa y ofrece la carta completa enseguida.",
+  "Las croquetas caseras se fríen durante 3 minutos en aceite de oliva bien caliente.",
+  "El pescado fresco se conserva en la cámara frigorífica a 2 °C cubierto con hielo picado.",
+  "Los postres se presentan en plato frío con la decoración de temporada que indique cocina.",
+  "La cafetera se purga cada mañana durante 10 segundos antes de preparar el primer café.",
+  "Los alérgenos de cada plato se consultan en la ficha técnica antes de recomendarlo.",
+  "El pan se hornea a 220 °C durante 12 minutos y se sirve templado en su cesta.",
+  "La terraza se monta a las 12 horas con manteles limpios, servilletas y cubiertos completos.",
+  "Las botellas abiertas de vino blanco se guardan con tapón hermético un máximo de 2 días.",
+].join("\n");
+
+async function freePort() {
+  const server = net.createServer();
+  await new Promise((resolve) => server.listen(0, resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+// Arranca server.js con el generador offline y un DATA_DIR temporal. Devuelve
+// call(method, path, body, headers) (con el token de admin y el de cada intento) y stop()
+export async function startServer(env = {}) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "resto-test-"));
+  const port = await freePort();
+  const base = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      LLM_PROVIDER: "offline",
+      ADMIN_TOKEN,
+      WEBHOOK_URL: "",
+      POOL_ROTATE_HOURS: "0",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  child.stdout.on("data", (d) => (output += d));
+  child.stderr.on("data", (d) => (output += d));
+
+  const tokens = new Map();
+  async function call(method, url, body, headers = {}) {
+    const token = body?.attemptId && tokens.get(body.attemptId);
+    const res = await fetch(base + url, {
+      method,
+      headers: {
+        "content-type": "application/json",
+        "x-admin-token": ADMIN_TOKEN,
+        ...(token ? { "x-attempt-token": token } : {}),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = text;
+    }
+    if (json?.attemptToken) tokens.set(json.attemptId, json.attemptToken);
+    return { status: res.status, body: json };
+  }
+
+  for (let i = 0; ; i++) {
+    try {
+      if ((await fetch(`${base}/health`)).ok) break;
+    } catch {
+      // todavía arrancando
+    }
+    if (i >= 100 || child.exitCode !== null) throw new Error(`server.js no arrancó:\n${output}`);
+    await new Promise((r) => setTimeout(r, 100));
+  }
+
+  async function stop() {
+    if (child.exitCode === null) {
+      child.kill();
+      await new Promise((resolve) => child.once("exit", resolve));
+    }
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+
+  return { base, call, stop, output: () => output };
+}
+
+// Sube el manual y lo registra como única fuente del restaurante
+export async function addManual({ base }, restaurantId = "test", text = MANUAL) {
+  const res = await fetch(`${base}/api/admin/uploads?filename=manual.txt`, {
+    method: "POST",
+    headers: { "x-admin-token": ADMIN_TOKEN, "content-type": "text/plain" },
+    body: text,
+  });
+  const upload = await res.json();
+  const source = await fetch(`${base}/api/admin/restaurants/${restaurantId}/sources`, {
+    method: "POST",
+    headers: { "x-admin-token": ADMIN_TOKEN, "content-type": "application/json" },
+    body: JSON.stringify({ key: "manual", url: upload.url }),
+  });
+  if (!source.ok) throw new Error(`No se pudo registrar la fuente: ${await source.text()}`);
+  return upload;
+}
+
+export const candidate = (dni, extra = {}) => ({
+  dni,
+  candidateName: "Ana Pérez López",
+  startCommand: "Realizar Test",
+  restaurantId: "test",
+  ...extra,
+});
+
+// Contesta todas las preguntas de un intento con la opción A
+export async function answerAll({ call }, start) {
+  for (const q of start.questions) {
+    const r = await call("POST", "/api/answer", { attemptId: start.attemptId, questionId: q.id, choice: "A" });
+    if (r.status !== 200) throw new Error(`answer ${r.status}: ${JSON.stringify(r.body)}`);
+  }
+}
@@ -0,0 +1,29 @@
+// test/pool.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, addManual, candidate, MANUAL } from "./helpers.js";
+
+const ANON = { "x-admin-token": "" };
+// Manual corto: da menos preguntas de las que pide el test
+const SHORT_MANUAL = MANUAL.split("\n").slice(0, 6).join("\n");
+let server;
+
+before(async () => {
+  server = await startServer({ NUM_QUESTIONS: "10" });
+  await addManual(server, "test", SHORT_MANUAL);
+});
+after(() => server?.stop());
+
+test("pool corto: si regenerarlo no aporta nada se sirve el que hay", async () => {
+  const first = await server.call("POST", "/api/start-test", candidate("12345678Z"), ANON);
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  const available = first.body.questions.length;
+  assert.ok(available > 0 && available < 10, `preguntas: ${available}`);
+
+  // El segundo arranque vuelve a intentar completar el pool; el offline no saca nada
+  // nuevo del mismo texto y antes fallaba con sources_failed
+  const second = await server.call("POST", "/api/start-test", candidate("87654321X"), ANON);
+  assert.equal(second.status, 200, JSON.stringify(second.body));
+  assert.equal(second.body.questions.length, available);
+  assert.match(server.output(), /se sirve el pool actual/);
+});
@@ -0,0 +1,85 @@
+// test/start-flow.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, addManual, candidate, answerAll } from "./helpers.js";
+
+const ANON = { "x-admin-token": "" };
+let server;
+
+before(async () => {
+  server = await startServer({ NUM_QUESTIONS: "4" });
+  await addManual(server);
+});
+after(() => server?.stop());
+
+test("start → answer → finish sin red con el generador offline", async () => {
+  const start = await server.call("POST", "/api/start-test", candidate("12345678Z"), ANON);
+  assert.equal(start.status, 200, JSON.stringify(start.body));
+  assert.equal(start.body.questions.length, 4);
+  assert.ok(start.body.attemptToken);
+  // Sin soluciones en lo que ve el candidato
+  for (const q of start.body.questions) assert.equal(q.correctIndex, undefined);
+
+  await answerAll(server, start.body);
+  const finish = await server.call("POST", "/api/finish", { attemptId: start.body.attemptId });
+  assert.equal(finish.status, 200, JSON.stringify(finish.body));
+  assert.equal(finish.body.finalJson.total_preguntas, 4);
+  assert.equal(finish.body.finalJson.preguntas.length, 4);
+  assert.match(finish.body.resultForStudent.score, /^\d+(\.\d+)?\/4$/);
+});
+
+test("el generador offline es determinista: mismo manual, mismo pool", async () => {
+  const prompts = async ({ call }) =>
+    (await call("GET", "/api/admin/questions?restaurantId=test&source=manual")).body.questions.map((q) => q.prompt).sort();
+  const other = await startServer({ NUM_QUESTIONS: "4" });
+  try {
+    await addManual(other);
+    await other.call("POST", "/api/start-test", candidate("87654321X"), ANON);
+    const mine = await prompts(server);
+    assert.ok(mine.length >= 4);
+    assert.deepEqual(await prompts(other), mine);
+  } finally {
+    await other.stop();
+  }
+});
+
+test("idioma: rechaza códigos desconocidos y claves heredadas con 400", async () => {
+  for (const language of ["constructor", "__proto__", "toString", "xx"]) {
+    const r = await server.call("POST", "/api/start-test", candidate("11111111H", { language }), ANON);
+    assert.equal(r.status, 400, language);
+    assert.equal(typeof r.body, "object", `${language}: respuesta JSON`);
+    assert.match(r.body.error, /Idioma no soportado/);
+  }
+});
+
+test("idioma: el offline no traduce y lo dice en el idioma pedido", async () => {
+  const r = await server.call("POST", "/api/start-test", candidate("11111111H", { language: "en-GB" }), ANON);
+  assert.equal(r.status, 400);
+  assert.equal(r.body.reason, "language_unavailable");
+  assert.match(r.body.error, /Spanish/);
+});
+
+test("finish es idempotente: repetir devuelve el resultado guardado", async () => {
+  const start = await server.call("POST", "/api/start-test", candidate("22222222J"), ANON);
+  assert.equal(start.status, 200);
+  await answerAll(server, start.body);
+  const first = await server.call("POST", "/api/finish", { attemptId: start.body.attemptId });
+  const again = await server.call("POST", "/api/finish", { attemptId: start.body.attemptId });
+  assert.equal(first.status, 200);
+  assert.equal(again.status, 200);
+  assert.equal(again.body.webhook.repeated, true);
+  assert.deepEqual(again.body.finalJson, first.body.finalJson);
+});
+
+test("finish simultáneos: se calcula una vez y los demás reciben el mismo resultado", async () => {
+  const start = await server.call("POST", "/api/start-test", candidate("33333333P"), ANON);
+  assert.equal(start.status, 200);
+  await answerAll(server, start.body);
+  const all = await Promise.all(
+    [1, 2, 3].map(() => server.call("POST", "/api/finish", { attemptId: start.body.attemptId }))
+  );
+  assert.deepEqual(all.map((r) => r.status), [200, 200, 200]);
+  assert.equal(all.filter((r) => !r.body.webhook.repeated).length, 1);
+  const finishedAt = new Set(all.map((r) => r.body.finalJson.finishedAt));
+  assert.equal(finishedAt.size, 1);
+});